@@ -1,5 +1,7 @@
 #!/usr/bin/env node
-const { writeFileSync } = require("fs");
+const { writeFileSync, readFileSync, mkdirSync, unlinkSync, openSync, existsSync, readdirSync, renameSync } = require("fs");
+const os = require("os");
+const path = require("path");
 /**
  * browser.js — Lightweight CDP browser control for AI agents.
  *
@@ -10,38 +12,185 @@ const { writeFileSync } = require("fs");
  *   node browser.js <command> [args...]
  *
  * Commands:
+ *   launch                  Start Chrome/Chromium with remote debugging (--headless, --profile, --port auto)
+ *   status / kill           Show the endpoint in use / stop the browser launch started
  *   tabs                    List open tabs (index + title + url)
  *   open <url>              Navigate current tab (or first tab) to URL
- *   tab <index>             Switch active tab by index
+ *   tab <index|id>          Switch active tab (persists for later commands)
  *   newtab [url]            Open a new tab (optionally with URL)
  *   close [index]           Close tab by index (default: current)
- *   elements [selector]     List interactive elements as numbered index
- *   click <index>           Click element by index
- *   type <index> <text>     Type text into element by index
- *   text [selector]         Extract visible text (compact)
+ *   elements [selector]     List interactive elements as numbered index ([fN:i] in iframes)
+ *   click <index>           Click element by index (reports navigation / DOM change)
+ *   type <index> <text>     Type text into element by index (--submit presses Enter)
+ *   press <key> [index]     Press a key or chord (Enter, Ctrl+Shift+K), optionally focusing an element
+ *   select <index> <option> Choose an option in a native <select>
+ *   check/uncheck <index>   Set a checkbox or radio
+ *   set <index> <value>     Set a range/date/color/... input value
+ *   form [selector]         List form fields with their resolved labels
+ *   fill <spec>             Fill form fields matched by label from a JSON/YAML spec
+ *   upload <index> <files>  Set files on a file input (paths or globs); drop <index> <files> for drop zones
+ *   text [selector]         Extract visible text (compact; --markdown keeps structure, --page N)
  *   html [selector]         Get outerHTML of element (by CSS selector)
  *   eval <js>               Evaluate JS in page context
- *   screenshot [path]       Save screenshot to file
+ *   screenshot [path]       Save screenshot to file (--full, --element, --annotate, --format jpeg)
  *   wait <ms>               Wait for ms (useful in scripts)
+ *   wait-for <cond> [...]   Wait for selector/gone/text/url/idle (--timeout ms)
+ *   pdf [path]              Save page as PDF (--paper a4, --landscape, --margin, --header/--footer, --pages)
  *   scroll <dir> [amount]   Scroll up/down/top/bottom
  *   url                     Print current URL
  *   back                    Go back
  *   forward                 Go forward
  *   refresh                 Reload page
+ *   events [n]              Recent page events buffered by the daemon
+ *   console [--level error|warn|all] [--since ms]  Console messages and page exceptions
+ *   network [pattern]       Request log (daemon / run); body <i>, export <file.har>, clear
+ *   block <pattern|type>    Fail matching requests (Fetch domain; rules persist in state)
+ *   mock <pattern> <file>   Fulfill matching requests from a file [--status N] [--header k:v]
+ *   routes / unroute [id]   List or remove block/mock rules
+ *   tables / table <n|sel>  List data tables; extract one as text, --csv or --json [--out file]
+ *   dialog [accept [text]|dismiss]  Show or answer a pending alert/confirm/prompt
+ *   emulate [preset|reset]  Device/viewport/locale/network emulation, kept across commands
+ *   download <index>        Click and wait for the resulting download; downloads [dir <path>]
+ *   cookies [domain]        List cookies; set/delete/clear, export/import (JSON or Netscape)
+ *   storage local|session   get [key] / set <key> <value> / delete <key> / clear
+ *   daemon start|stop|status  Persistent CDP connection; commands forward to it
+ *   run <file|->            Run one command per line over a shared session
+ *
+ * Global options:
+ *   --tab <index|targetId>  Run one command against a specific tab
+ *   --on-dialog accept|dismiss|report  How JS dialogs are handled from now on (default: report)
+ *   --json                  Print one JSON object per command, errors included with a code
+ * Every error exits 1.
+ *
+ * Also a library: require("browser-js") → { Browser, Page, CommandError } (see Library API below).
  *
  * Env:
- *   CDP_URL   Override CDP endpoint (default: http://127.0.0.1:18800)
+ *   CDP_URL      Override CDP endpoint (default: the launched browser, else http://127.0.0.1:18800)
+ *   BJS_HOME     State directory (default: ~/.browser-js)
+ *   CHROME_PATH  Browser binary for launch (default: found on the system)
  */
 
 const WebSocket = require("ws");
+const { EventEmitter } = require("events");
+const net = require("net");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const DEFAULT_CDP_URL = "http://127.0.0.1:18800";
+const STATE_DIR = process.env.BJS_HOME || path.join(os.homedir(), ".browser-js");
+const STATE_FILE = path.join(STATE_DIR, "state.json");
+
+// Options that apply to the whole invocation (set from global CLI flags)
+const DEFAULT_OPTIONS = { tab: undefined, onDialog: undefined, json: false };
+
+// What a call runs against: the CDP endpoint, its options and, when connections are kept
+// open (daemon, run, library), the session pool. The CLI uses cliContext; each library
+// Browser runs its calls inside a context of its own. Without CDP_URL, commands go to the
+// browser "launch" started, if it is still running (main() resolves that before a command).
+const cliContext = {
+  cdpUrl: process.env.CDP_URL || DEFAULT_CDP_URL,
+  options: { ...DEFAULT_OPTIONS },
+  pool: null,
+  routeHits: new Map() // ruleId -> hits not yet written to the state file
+};
+const contextStore = new AsyncLocalStorage();
+
+function current() {
+  return contextStore.getStore() || cliContext;
+}
+
+// ── Errors and output ──
+// Failures carry a stable code (USAGE, NOT_FOUND, TIMEOUT, ...) that --json reports; every
+// failure exits 1. Usage errors print their usage text, the rest "Error: <message>".
+
+class CommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const usageError = (text) => new CommandError("USAGE", text);
+
+// In-page snippets report failures as { error } — mostly a stale index or a missing selector
+const pageError = (message) => new CommandError(/not found|^No /.test(message) ? "NOT_FOUND" : "INVALID_TARGET", message);
+
+function errorCode(err) {
+  if (err instanceof CommandError) return err.code;
+  return err.code === "ENOENT" ? "NOT_FOUND" : "ERROR";
+}
+
+function formatError(err) {
+  return errorCode(err) === "USAGE" ? err.message : `Error: ${err.message}`;
+}
+
+// A result with structured fields for --json; prints as its text otherwise
+class Output {
+  constructor(text, data) {
+    this.text = text;
+    this.data = data;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+// What a command prints on stdout: its text, or one JSON object with --json
+function render(cmd, result) {
+  if (!current().options.json) return result === undefined ? undefined : String(result);
+  const data = result instanceof Output ? result.data : result ? { output: String(result) } : {};
+  return JSON.stringify({ ok: true, command: cmd, ...data });
+}
+
+function renderError(cmd, err) {
+  if (!current().options.json) return formatError(err);
+  return JSON.stringify({ ok: false, command: cmd ?? null, error: { code: errorCode(err), message: err.message } });
+}
+
+// ── State file ──
+// Small JSON file keyed by CDP endpoint, so several browsers don't clobber each other.
+
+function loadState() {
+  try {
+    return JSON.parse(readFileSync(STATE_FILE, "utf8"));
+  } catch (_) {
+    return {};
+  }
+}
 
-const CDP_URL = process.env.CDP_URL || "http://127.0.0.1:18800";
+function saveState(state) {
+  mkdirSync(STATE_DIR, { recursive: true });
+  writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+function endpointState() {
+  return loadState()[current().cdpUrl] || {};
+}
+
+function updateEndpointState(patch) {
+  const state = loadState();
+  const { cdpUrl } = current();
+  state[cdpUrl] = { ...state[cdpUrl], ...patch };
+  saveState(state);
+}
 
 // ── Helpers ──
 
 async function cdpFetch(path) {
-  const res = await fetch(`${CDP_URL}${path}`);
-  return res.json();
+  const { cdpUrl } = current();
+  let res;
+  try {
+    res = await fetch(`${cdpUrl}${path}`);
+  } catch (err) {
+    throw new CommandError("NO_BROWSER", `No browser at ${cdpUrl} (${err.cause?.code || err.message}); run: bjs launch`);
+  }
+  try {
+    return await res.json();
+  } catch (_) {
+    throw new CommandError("NO_BROWSER", `${cdpUrl} answered, but not as a Chrome DevTools endpoint (HTTP ${res.status}); run: bjs launch --port auto`);
+  }
 }
 
 async function getTargets() {
@@ -50,53 +199,122 @@ async function getTargets() {
 
 async function getWsUrl() {
   const ver = await cdpFetch("/json/version");
-  return ver.webSocketDebuggerUrl?.replace(/^ws:\/\/[^/]+/, `ws://127.0.0.1:${new URL(CDP_URL).port}`);
+  return ver.webSocketDebuggerUrl?.replace(/^ws:\/\/[^/]+/, `ws://127.0.0.1:${new URL(current().cdpUrl).port}`);
+}
+
+// Split command args into positionals and --flags (flags named in valueFlags consume the next arg)
+function parseFlags(args, valueFlags = []) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const m = args[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) positional.push(args[i]);
+    else if (m[2] !== undefined) flags[m[1]] = m[2];
+    else if (valueFlags.includes(m[1])) flags[m[1]] = args[++i];
+    else flags[m[1]] = true;
+  }
+  return { flags, positional };
+}
+
+// URL patterns: /regex/, glob with *, or plain substring
+function urlMatches(url, pattern) {
+  const re = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) return new RegExp(re[1], re[2]).test(url);
+  if (pattern.includes("*")) {
+    const glob = pattern.split("*").map(p => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${glob}$`).test(url);
+  }
+  return url.includes(pattern);
 }
 
 // ── CDP WebSocket session ──
 
-class CDPSession {
+// Tracks the targets auto-attached to a session (out-of-process iframes)
+function trackAttached(session) {
+  session.attached = new Map(); // sessionId -> targetInfo
+  session.on("Target.attachedToTarget", (p) => session.attached.set(p.sessionId, p.targetInfo));
+  session.on("Target.detachedFromTarget", (p) => session.attached.delete(p.sessionId));
+}
+
+class CDPSession extends EventEmitter {
   constructor(ws) {
+    super();
     this.ws = ws;
     this.id = 1;
     this.pending = new Map();
+    this.shared = false;
+    this.children = new Map();
+    trackAttached(this);
     ws.on("message", (data) => {
       const msg = JSON.parse(data.toString());
       if (msg.id && this.pending.has(msg.id)) {
         const { resolve, reject } = this.pending.get(msg.id);
         this.pending.delete(msg.id);
-        if (msg.error) reject(new Error(msg.error.message));
+        if (msg.error) reject(new CommandError("CDP_ERROR", msg.error.message));
         else resolve(msg.result);
+      } else if (msg.method && msg.sessionId) {
+        this.child(msg.sessionId).emit(msg.method, msg.params);
+      } else if (msg.method) {
+        // Protocol events: listen by method name, or on "event" for everything
+        this.emit(msg.method, msg.params);
+        this.emit("event", msg);
       }
     });
+    ws.on("close", () => {
+      for (const { reject } of this.pending.values()) reject(new Error("CDP connection closed"));
+      this.pending.clear();
+      this.emit("disconnected");
+    });
   }
 
-  send(method, params = {}) {
+  send(method, params = {}, sessionId) {
     return new Promise((resolve, reject) => {
+      if (this.ws.readyState !== WebSocket.OPEN) return reject(new Error("CDP connection closed"));
+      // Page scripts are frozen while a dialog is open — fail fast instead of hanging
+      if (this.dialog && !sessionId && method.startsWith("Runtime.")) return reject(new CommandError("DIALOG_OPEN", dialogBlockedMessage(this.dialog)));
       const id = this.id++;
       this.pending.set(id, { resolve, reject });
-      this.ws.send(JSON.stringify({ id, method, params }));
+      this.ws.send(JSON.stringify(sessionId ? { id, method, params, sessionId } : { id, method, params }));
     });
   }
 
+  // Flattened session for an attached target, multiplexed over this connection
+  child(sessionId) {
+    if (!this.children.has(sessionId)) {
+      const child = new EventEmitter();
+      child.send = (method, params) => this.send(method, params, sessionId);
+      trackAttached(child);
+      this.children.set(sessionId, child);
+    }
+    return this.children.get(sessionId);
+  }
+
+  // Shared sessions (daemon / pooled) outlive a single command — only destroy() closes them
   close() {
+    if (!this.shared) this.ws.close();
+  }
+
+  destroy() {
     this.ws.close();
   }
 }
 
-async function connectToTarget(targetId) {
-  const port = new URL(CDP_URL).port;
-  const wsUrl = `ws://127.0.0.1:${port}/devtools/page/${targetId}`;
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(wsUrl);
-    ws.once("open", () => resolve(new CDPSession(ws)));
-    ws.once("error", reject);
+// Resolve with the event's params, or null if it doesn't arrive in time
+function waitForEvent(cdp, method, timeout) {
+  return new Promise((resolve) => {
+    const onEvent = (params) => {
+      clearTimeout(timer);
+      resolve(params);
+    };
+    const timer = setTimeout(() => {
+      cdp.off(method, onEvent);
+      resolve(null);
+    }, timeout);
+    cdp.once(method, onEvent);
   });
 }
 
-async function connectToBrowser() {
-  const wsUrl = await getWsUrl();
-  if (!wsUrl) throw new Error("Cannot get browser WebSocket URL");
+function openSession(wsUrl) {
   return new Promise((resolve, reject) => {
     const ws = new WebSocket(wsUrl);
     ws.once("open", () => resolve(new CDPSession(ws)));
@@ -104,61 +322,165 @@ async function connectToBrowser() {
   });
 }
 
-// Get the "current" page target (first visible page tab)
-async function getCurrentTarget() {
+// ── Session pool ──
+// Keeps one CDP session per target open across commands and buffers the events
+// they see. Installed by the daemon; without it every command connects fresh.
+
+const EVENT_BUFFER_SIZE = 1000;
+const POOL_DOMAINS = ["Page.enable", "Runtime.enable", "Network.enable", "Log.enable"];
+
+class SessionPool {
+  constructor() {
+    this.sessions = new Map(); // targetId -> Promise<CDPSession>
+    this.events = new Map();   // targetId -> [{ time, method, params }]
+    this.network = new Map();  // targetId -> NetworkLog
+    this.console = new Map();  // targetId -> [consoleEntry]
+  }
+
+  get(key, connect) {
+    if (!this.sessions.has(key)) {
+      const session = connect().then(async (cdp) => {
+        cdp.shared = true;
+        cdp.on("disconnected", () => {
+          this.sessions.delete(key);
+          this.events.delete(key);
+          this.network.delete(key);
+          this.console.delete(key);
+        });
+        if (key !== "browser") {
+          const buffer = this.events.get(key) || [];
+          const network = new NetworkLog();
+          const messages = [];
+          this.events.set(key, buffer);
+          this.network.set(key, network);
+          this.console.set(key, messages);
+          cdp.on("event", ({ method, params }) => {
+            if (method.startsWith("Network.")) network.handle(method, params);
+            const message = consoleEntry(method, params);
+            if (message) {
+              messages.push(message);
+              if (messages.length > CONSOLE_LOG_SIZE) messages.shift();
+            }
+            if (method === "Network.dataReceived") return; // too chatty to keep
+            buffer.push({ time: Date.now(), method, params });
+            if (buffer.length > EVENT_BUFFER_SIZE) buffer.shift();
+          });
+          for (const enable of POOL_DOMAINS) await cdp.send(enable).catch(() => {});
+        }
+        return cdp;
+      });
+      session.catch(() => this.sessions.delete(key));
+      this.sessions.set(key, session);
+    }
+    return this.sessions.get(key);
+  }
+
+  async closeAll() {
+    for (const session of this.sessions.values()) {
+      try { (await session).destroy(); } catch (_) {}
+    }
+    this.sessions.clear();
+  }
+}
+
+async function connectToTarget(targetId) {
+  const { cdpUrl, pool } = current();
+  const port = new URL(cdpUrl).port;
+  const connect = async () => {
+    const cdp = await openSession(`ws://127.0.0.1:${port}/devtools/page/${targetId}`);
+    await trackDialogs(cdp);
+    await applyRoutes(cdp);
+    await applyEmulation(cdp, endpointState().emulation).catch(() => {});
+    return cdp;
+  };
+  return pool ? pool.get(targetId, connect) : connect();
+}
+
+async function connectToBrowser() {
+  const connect = async () => {
+    const wsUrl = await getWsUrl();
+    if (!wsUrl) throw new Error("Cannot get browser WebSocket URL");
+    return openSession(wsUrl);
+  };
+  const { pool } = current();
+  return pool ? pool.get("browser", connect) : connect();
+}
+
+async function getPages() {
   const targets = await getTargets();
-  const pages = targets.filter(t => t.type === "page");
-  if (pages.length === 0) throw new Error("No page tabs open");
+  return targets.filter(t => t.type === "page");
+}
+
+// Resolve a tab reference — numeric index or (prefix of) a targetId
+function findTab(pages, ref) {
+  ref = String(ref);
+  if (/^\d+$/.test(ref)) {
+    const index = parseInt(ref);
+    if (index >= pages.length) throw new CommandError("NOT_FOUND", `Tab index ${index} out of range (0-${pages.length - 1})`);
+    return pages[index];
+  }
+  const target = pages.find(t => t.id === ref) || pages.find(t => t.id.startsWith(ref.toUpperCase()));
+  if (!target) throw new CommandError("NOT_FOUND", `No tab with id ${ref}. Run: tabs`);
+  return target;
+}
+
+// Get the "current" page target: --tab override, then the stored active tab, then the first tab
+async function getCurrentTarget() {
+  const pages = await getPages();
+  if (pages.length === 0) throw new CommandError("NOT_FOUND", "No page tabs open");
+  const { tab } = current().options;
+  if (tab !== undefined) return findTab(pages, tab);
+  const { activeTarget } = endpointState();
+  const active = pages.find(t => t.id === activeTarget);
+  if (active) return active;
+  // Stored tab was closed (or never set) — forget it and fall back to the first tab
+  if (activeTarget) updateEndpointState({ activeTarget: undefined });
   return pages[0];
 }
 
 async function getTargetByIndex(index) {
-  const targets = await getTargets();
-  const pages = targets.filter(t => t.type === "page");
-  if (index < 0 || index >= pages.length) throw new Error(`Tab index ${index} out of range (0-${pages.length - 1})`);
-  return pages[index];
+  const pages = await getPages();
+  if (pages.length === 0) throw new CommandError("NOT_FOUND", "No page tabs open");
+  return findTab(pages, index);
 }
 
 // ── Commands ──
 
 async function cmdTabs() {
-  const targets = await getTargets();
-  const pages = targets.filter(t => t.type === "page");
-  if (pages.length === 0) return "No tabs open.";
-  return pages.map((t, i) => `[${i}] ${t.title || "(untitled)"} — ${t.url}`).join("\n");
+  const pages = await getPages();
+  if (pages.length === 0) return new Output("No tabs open.", { tabs: [] });
+  const current = await getCurrentTarget();
+  const tabs = pages.map((t, i) => ({ index: i, targetId: t.id, title: t.title, url: t.url, active: t.id === current.id }));
+  return new Output(tabs.map(t => `[${t.index}]${t.active ? "*" : ""} ${t.title || "(untitled)"} — ${t.url}`).join("\n"), { tabs });
 }
 
 async function cmdOpen(url) {
-  if (!url) return "Usage: open <url>";
+  if (!url) throw usageError("Usage: open <url>");
   if (!url.startsWith("http")) url = "https://" + url;
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
-    await cdp.send("Page.navigate", { url });
-    // Wait for load
     await cdp.send("Page.enable");
-    await new Promise((resolve) => {
-      const timeout = setTimeout(resolve, 10000);
-      cdp.ws.on("message", (data) => {
-        const msg = JSON.parse(data.toString());
-        if (msg.method === "Page.loadEventFired") {
-          clearTimeout(timeout);
-          resolve();
-        }
-      });
-    });
-    return `Navigated to ${url}`;
+    const consoleErrors = await watchConsoleErrors(cdp);
+    const loaded = waitForEvent(cdp, "Page.loadEventFired", 10000);
+    await cdp.send("Page.navigate", { url });
+    await loaded;
+    return new Output(`Navigated to ${url}${consoleErrors()}`, { url, targetId: target.id, consoleErrors: consoleErrors.count });
   } finally {
     cdp.close();
   }
 }
 
-async function cmdTab(index) {
-  const target = await getTargetByIndex(parseInt(index));
+async function cmdTab(ref) {
+  if (ref === undefined) throw usageError("Usage: tab <index|targetId>");
+  const pages = await getPages();
+  const target = findTab(pages, ref);
   const cdp = await connectToTarget(target.id);
   try {
     await cdp.send("Page.bringToFront");
-    return `Switched to tab [${index}]: ${target.title} — ${target.url}`;
+    updateEndpointState({ activeTarget: target.id });
+    const index = pages.indexOf(target);
+    return new Output(`Switched to tab [${index}]: ${target.title} — ${target.url}`, { index, targetId: target.id, title: target.title, url: target.url });
   } finally {
     cdp.close();
   }
@@ -170,7 +492,8 @@ async function cmdNewTab(url) {
     const result = await browser.send("Target.createTarget", {
       url: url || "about:blank"
     });
-    return `Opened new tab: ${result.targetId}`;
+    updateEndpointState({ activeTarget: result.targetId });
+    return new Output(`Opened new tab: ${result.targetId}`, { targetId: result.targetId, url: url || "about:blank" });
   } finally {
     browser.close();
   }
@@ -178,29 +501,21 @@ async function cmdNewTab(url) {
 
 async function cmdClose(index) {
   const target = index !== undefined
-    ? await getTargetByIndex(parseInt(index))
+    ? await getTargetByIndex(index)
     : await getCurrentTarget();
   const browser = await connectToBrowser();
   try {
     await browser.send("Target.closeTarget", { targetId: target.id });
-    return `Closed tab: ${target.title}`;
+    // Closing the active tab hands "current" back to the first remaining tab
+    if (endpointState().activeTarget === target.id) updateEndpointState({ activeTarget: undefined });
+    return new Output(`Closed tab: ${target.title}`, { targetId: target.id, title: target.title });
   } finally {
     browser.close();
   }
 }
 
-// Generate the JS expression that indexes interactive elements
-function ELEMENTS_JS(selector) {
-  return `
-    (() => {
-      // ── Deep shadow DOM helpers ──
-      function deepClearStamps(root) {
-        root.querySelectorAll('[data-bjs-idx]').forEach(el => el.removeAttribute('data-bjs-idx'));
-        root.querySelectorAll('*').forEach(el => {
-          if (el.shadowRoot) deepClearStamps(el.shadowRoot);
-        });
-      }
-
+// In-page helpers that look through open shadow roots (shared by the page-side snippets)
+const DEEP_QUERY_JS = `
       function deepQueryAll(root, selectors) {
         const results = [];
         try { results.push(...root.querySelectorAll(selectors)); } catch(e) {}
@@ -225,7 +540,30 @@ function ELEMENTS_JS(selector) {
         }
         return null;
       }
+`;
+
+// Expression for the element stamped with an index (uses the helper ELEMENTS_JS leaves behind,
+// else searches the shadow roots itself — e.g. in a fresh isolated world)
+function STAMPED_JS(index) {
+  return `((window.__bjsDeepQuery && window.__bjsDeepQuery(${index})) || (() => {
+${DEEP_QUERY_JS}
+      return deepQueryStamp(document, ${index});
+    })())`;
+}
+
+// Generate the JS expression that indexes interactive elements
+function ELEMENTS_JS(selector) {
+  return `
+    (() => {
+      // ── Deep shadow DOM helpers ──
+      function deepClearStamps(root) {
+        root.querySelectorAll('[data-bjs-idx]').forEach(el => el.removeAttribute('data-bjs-idx'));
+        root.querySelectorAll('*').forEach(el => {
+          if (el.shadowRoot) deepClearStamps(el.shadowRoot);
+        });
+      }
 
+${DEEP_QUERY_JS}
       // Expose deepQueryStamp globally for click/type/etc
       window.__bjsDeepQuery = (idx) => deepQueryStamp(document, idx);
 
@@ -268,13 +606,18 @@ function ELEMENTS_JS(selector) {
         const tag = el.tagName.toLowerCase();
         const type = el.type || '';
         const role = el.getAttribute('role') || '';
-        const text = (el.textContent || '').trim().slice(0, 80).replace(/\\s+/g, ' ');
+        // A select's textContent is every option run together — describe it by its selection instead
+        const text = tag === 'select' ? '' : (el.textContent || '').trim().slice(0, 80).replace(/\\s+/g, ' ');
         const ariaLabel = el.getAttribute('aria-label') || '';
         const placeholder = el.placeholder || '';
+        const labelText = (el.labels && el.labels[0] ? el.labels[0].textContent : '').trim().replace(/\\s+/g, ' ').slice(0, 80);
         const href = el.href || '';
         const name = el.name || '';
-        const value = (tag === 'input' || tag === 'select' || tag === 'textarea')
-          ? (el.value || '').slice(0, 40) : '';
+        const checkable = type === 'checkbox' || type === 'radio' || role === 'checkbox' || role === 'radio';
+        const isChecked = checkable && (el.checked || el.getAttribute('aria-checked') === 'true');
+        let value = '';
+        if (tag === 'select') value = [...el.selectedOptions].map(o => o.text.trim()).join(', ').slice(0, 40);
+        else if ((tag === 'input' && !checkable) || tag === 'textarea') value = (el.value || '').slice(0, 40);
 
         let label = '';
         if (tag === 'a') label = 'link';
@@ -285,9 +628,10 @@ function ELEMENTS_JS(selector) {
         else if (role === 'textbox') label = 'textbox';
         else if (role) label = role;
         else label = tag;
+        if (isChecked) label += ':checked';
         if (isDisabled) label += ':disabled';
 
-        let desc = ariaLabel || text || placeholder || name || '';
+        let desc = ariaLabel || text || placeholder || labelText || name || '';
         if (value && !desc.includes(value)) desc += desc ? ' [' + value + ']' : value;
         if (tag === 'a' && href && !href.startsWith('javascript:')) {
           const short = href.length > 60 ? href.slice(0, 57) + '...' : href;
@@ -301,7 +645,11 @@ function ELEMENTS_JS(selector) {
         seen.add(key);
 
         el.setAttribute('data-bjs-idx', results.length);
-        results.push({ label, desc: desc.slice(0, 120) });
+        const r = el.getBoundingClientRect();
+        results.push({
+          label, desc: desc.slice(0, 120), href: tag === 'a' && href ? href : undefined,
+          rect: { x: Math.round(r.x), y: Math.round(r.y), width: Math.round(r.width), height: Math.round(r.height) }
+        });
       }
 
       return JSON.stringify(results);
@@ -309,6 +657,100 @@ function ELEMENTS_JS(selector) {
   `;
 }
 
+// ── Frames ──
+// Child frames are numbered f1, f2, ... in discovery order. Same-process frames are
+// reached through an isolated world in their session; out-of-process iframes (OOPIFs)
+// through a flattened session from Target.setAutoAttach. The frameId list is kept in
+// the page (window.__bjsFrames) so later commands can resolve "f2:5".
+
+async function collectFrames(cdp) {
+  const frames = [];
+  const seen = new Set();
+  // rootFrame: the frame entry a session's coordinates are relative to (null for the page)
+  const visit = async (session, rootFrame) => {
+    const { frameTree } = await session.send("Page.getFrameTree");
+    const walk = (node, isRoot) => {
+      if (!isRoot && !seen.has(node.frame.id)) {
+        seen.add(node.frame.id);
+        frames.push({ frameId: node.frame.id, url: node.frame.url, session, ownerSession: session, rootFrame });
+      }
+      for (const child of node.childFrames || []) walk(child, false);
+    };
+    walk(frameTree, true);
+
+    await session.send("Target.setAutoAttach", { autoAttach: true, waitForDebuggerOnStart: false, flatten: true });
+    for (const [sessionId, info] of session.attached) {
+      if (info.type !== "iframe" || seen.has(info.targetId)) continue;
+      seen.add(info.targetId);
+      const child = cdp.child(sessionId);
+      const frame = { frameId: info.targetId, url: info.url, session: child, ownerSession: session, rootFrame };
+      frames.push(frame);
+      await visit(child, frame);
+    }
+  };
+  await visit(cdp, null);
+  return frames;
+}
+
+// Top-left of a frame's viewport in top-level page coordinates
+async function frameOffset(frame) {
+  if (!frame) return { x: 0, y: 0 };
+  const { backendNodeId } = await frame.ownerSession.send("DOM.getFrameOwner", { frameId: frame.frameId });
+  const { model } = await frame.ownerSession.send("DOM.getBoxModel", { backendNodeId });
+  const base = await frameOffset(frame.rootFrame);
+  return { x: base.x + model.content[0], y: base.y + model.content[1] };
+}
+
+// Bring a frame's owner <iframe> (and every enclosing one) into the top-level viewport,
+// innermost first so the outer scroll has the last word
+async function revealFrame(frame) {
+  if (!frame) return;
+  const { backendNodeId } = await frame.ownerSession.send("DOM.getFrameOwner", { frameId: frame.frameId });
+  await frame.ownerSession.send("DOM.scrollIntoViewIfNeeded", { backendNodeId });
+  await revealFrame(frame.rootFrame);
+}
+
+async function frameContext(frame) {
+  const { executionContextId } = await frame.session.send("Page.createIsolatedWorld", {
+    frameId: frame.frameId, worldName: "bjs"
+  });
+  return executionContextId;
+}
+
+// An element reference as --json reports it: a number, or "fN:i" inside a frame
+const refValue = (ref) => /^\d+$/.test(String(ref)) ? Number(ref) : ref;
+
+// Resolve "3", "f1:3" or "f1" to where it lives: { frame, index, session, contextId, evaluate(expr), offset() }
+async function resolveRef(cdp, ref) {
+  const m = String(ref).match(/^(?:f(\d+)(?::(\d+))?|(\d+))$/);
+  if (!m) throw new CommandError("BAD_ARGUMENT", `Invalid element index: ${ref}`);
+  if (!m[1]) {
+    return {
+      frame: null,
+      index: m[3],
+      session: cdp,
+      contextId: undefined,
+      evaluate: (expression) => cdp.send("Runtime.evaluate", { expression, returnByValue: true }),
+      offset: async () => ({ x: 0, y: 0 })
+    };
+  }
+  const { result } = await cdp.send("Runtime.evaluate", { expression: "window.__bjsFrames || null", returnByValue: true });
+  const frameId = result.value?.[parseInt(m[1]) - 1];
+  if (!frameId) throw new CommandError("NOT_FOUND", `Frame f${m[1]} not indexed. Run: elements`);
+  const frame = (await collectFrames(cdp)).find(f => f.frameId === frameId);
+  if (!frame) throw new CommandError("NOT_FOUND", `Frame f${m[1]} no longer exists. Run: elements`);
+  const contextId = await frameContext(frame);
+  return {
+    frame,
+    index: m[2] ?? null,
+    session: frame.session,
+    contextId,
+    evaluate: (expression) => frame.session.send("Runtime.evaluate", { expression, contextId, returnByValue: true }),
+    // Input is dispatched in top-level coordinates, so the iframe itself must be on screen
+    offset: async () => { await revealFrame(frame); return frameOffset(frame); }
+  };
+}
+
 async function cmdElements(selector) {
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
@@ -322,12 +764,31 @@ async function cmdElements(selector) {
     });
 
     const elements = JSON.parse(result.value);
-    if (elements.error) return elements.error;
-    if (elements.length === 0) return "No interactive elements found.";
+    if (elements.error) throw pageError(elements.error);
+    const found = elements.map((e, i) => ({ index: i, ...e }));
+
+    // Index iframes too (whole page only — a selector scopes to the main document)
+    if (!selector) {
+      const frames = await collectFrames(cdp);
+      for (let f = 0; f < frames.length; f++) {
+        try {
+          const { result } = await frames[f].session.send("Runtime.evaluate", {
+            expression: ELEMENTS_JS(null),
+            contextId: await frameContext(frames[f]),
+            returnByValue: true
+          });
+          // Rects in top-level viewport coordinates, like the main document's
+          const offset = await frameOffset(frames[f]);
+          JSON.parse(result.value).forEach((e, i) => found.push({
+            index: `f${f + 1}:${i}`, ...e, rect: { ...e.rect, x: e.rect.x + Math.round(offset.x), y: e.rect.y + Math.round(offset.y) }
+          }));
+        } catch (_) {} // frame navigated away or not yet loaded
+      }
+      await cdp.send("Runtime.evaluate", { expression: `window.__bjsFrames = ${JSON.stringify(frames.map(f => f.frameId))}` });
+    }
 
-    return elements.map((e, i) =>
-      `[${i}] (${e.label}) ${e.desc}`
-    ).join("\n");
+    if (found.length === 0) return new Output("No interactive elements found.", { elements: [] });
+    return new Output(found.map(e => `[${e.index}] (${e.label}) ${e.desc}`).join("\n"), { elements: found });
   } finally {
     cdp.close();
   }
@@ -350,78 +811,413 @@ async function ensureIndexed(cdp) {
   return false;
 }
 
-async function cmdClick(index) {
-  if (index === undefined) return "Usage: click <index>";
+// ── Action effects ──
+// click / type --submit watch what their input caused: a navigation, a dialog,
+// a popup, or DOM changes within a short settle window.
+
+const SETTLE_MS = 500;
+
+const EFFECTS_START_JS = `
+  (() => {
+    if (window.__bjsEffects) window.__bjsEffects.observer.disconnect();
+    const counts = { added: 0, removed: 0, text: 0 };
+    const tally = (records) => {
+      for (const r of records) {
+        if (r.type === 'characterData') counts.text++;
+        for (const n of r.addedNodes) {
+          if (n.nodeType === 1) counts.added += 1 + n.querySelectorAll('*').length;
+          else if (n.nodeType === 3 && n.textContent.trim()) counts.text++;
+        }
+        for (const n of r.removedNodes) {
+          if (n.nodeType === 1) counts.removed += 1 + n.querySelectorAll('*').length;
+        }
+      }
+    };
+    const observer = new MutationObserver(tally);
+    observer.observe(document, { childList: true, subtree: true, characterData: true });
+    window.__bjsEffects = { observer, counts, tally };
+  })()
+`;
+
+const EFFECTS_STOP_JS = `
+  (() => {
+    const fx = window.__bjsEffects;
+    if (!fx) return null;
+    fx.tally(fx.observer.takeRecords());
+    fx.observer.disconnect();
+    delete window.__bjsEffects;
+    return fx.counts;
+  })()
+`;
+
+// Run action() and describe its effect as a " → ..." suffix for the result line
+async function observeEffects(cdp, action) {
+  await cdp.send("Page.enable");
+  const { frameTree } = await cdp.send("Page.getFrameTree");
+  const mainFrame = frameTree.frame.id;
+  await cdp.send("Runtime.evaluate", { expression: EFFECTS_START_JS });
+
+  const seen = { loading: false, loaded: false, navigated: null, sameDocument: null, popup: null, dialog: null, handled: [] };
+  let dialogOpened;
+  const dialog = new Promise(r => { dialogOpened = r; });
+  const handlers = {
+    "Page.frameStartedLoading": (p) => { if (p.frameId === mainFrame) seen.loading = true; },
+    "Page.frameNavigated": (p) => { if (p.frame.id === mainFrame) seen.navigated = p.frame.url; },
+    "Page.navigatedWithinDocument": (p) => { if (p.frameId === mainFrame) seen.sameDocument = p.url; },
+    "Page.loadEventFired": () => { seen.loaded = true; },
+    "Page.windowOpen": (p) => { seen.popup = p.url; },
+    "Page.javascriptDialogOpening": (p) => {
+      if (dialogPolicy() !== "report") return; // answered by trackDialogs, reported via "dialogHandled"
+      seen.dialog = p;
+      dialogOpened();
+    },
+    "dialogHandled": (d) => { seen.handled.push(d); }
+  };
+  for (const [method, fn] of Object.entries(handlers)) cdp.on(method, fn);
+
+  let counts = null;
+  try {
+    // A dialog holds back the input event's response until it is handled — don't wait on it
+    await Promise.race([action(), dialog]);
+    await Promise.race([new Promise(r => setTimeout(r, SETTLE_MS)), dialog]);
+    // A navigation started inside the settle window: give it time to finish loading
+    const deadline = Date.now() + 10000;
+    while (seen.loading && !seen.loaded && !seen.dialog && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 50));
+    }
+    if (!seen.dialog) {
+      try {
+        const { result } = await cdp.send("Runtime.evaluate", { expression: EFFECTS_STOP_JS, returnByValue: true });
+        counts = result.value;
+      } catch (_) {} // document replaced by a navigation
+    }
+  } finally {
+    for (const [method, fn] of Object.entries(handlers)) cdp.off(method, fn);
+  }
+  return describeEffects(seen, counts);
+}
+
+function describeEffects(seen, counts) {
+  if (seen.dialog) return ` → dialog opened: ${seen.dialog.type}(${JSON.stringify(seen.dialog.message)}) (answer with: dialog accept | dialog dismiss)`;
+  const parts = seen.handled.map(d => `${d.type}(${JSON.stringify(d.message)}) ${d.accepted ? "accepted" : "dismissed"}`);
+  if (seen.navigated) return ` → ${[...parts, `navigated to ${seen.navigated}`].join(", ")}`;
+  const handled = parts.length;
+  if (seen.popup) parts.push(`opened new tab ${seen.popup}`);
+  if (seen.sameDocument) parts.push(`URL changed to ${seen.sameDocument}`);
+  if (counts?.added) parts.push(`${counts.added} new element${counts.added === 1 ? "" : "s"}`);
+  if (counts?.removed) parts.push(`${counts.removed} element${counts.removed === 1 ? "" : "s"} removed`);
+  if (parts.length === handled && counts?.text) parts.push("text changed");
+  return ` → ${parts.length ? parts.join(", ") : "no visible change"}`;
+}
+
+// ── Dialogs ──
+// alert/confirm/prompt/beforeunload block the page until answered. Every page session
+// tracks the open dialog; with --on-dialog accept|dismiss it is answered on the spot,
+// with "report" (default) it stays open for "dialog accept|dismiss".
+
+const DIALOG_POLICIES = ["accept", "dismiss", "report"];
+
+function dialogPolicy() {
+  return current().options.onDialog || endpointState().dialogPolicy || "report";
+}
+
+// --on-dialog applies to this command and sticks for later ones
+function saveDialogPolicy() {
+  const { onDialog } = current().options;
+  if (onDialog === undefined) return;
+  if (!DIALOG_POLICIES.includes(onDialog)) throw new CommandError("BAD_ARGUMENT", `--on-dialog must be one of: ${DIALOG_POLICIES.join(", ")}`);
+  if (endpointState().dialogPolicy !== onDialog) updateEndpointState({ dialogPolicy: onDialog });
+}
+
+function describeDialog(d) {
+  const prompt = d.type === "prompt" && d.defaultPrompt ? ` (default: ${JSON.stringify(d.defaultPrompt)})` : "";
+  return `${d.type}(${JSON.stringify(d.message)})${prompt}`;
+}
+
+function dialogBlockedMessage(d) {
+  return `The page is blocked by ${describeDialog(d)}. Answer it with: dialog accept [text] | dialog dismiss`;
+}
+
+async function trackDialogs(cdp) {
+  cdp.on("Page.javascriptDialogOpening", async (d) => {
+    const policy = dialogPolicy();
+    if (policy === "report") {
+      cdp.dialog = d;
+      return;
+    }
+    const accepted = policy === "accept";
+    const params = { accept: accepted };
+    if (d.type === "prompt" && accepted) params.promptText = d.defaultPrompt || "";
+    try {
+      await cdp.send("Page.handleJavaScriptDialog", params);
+      cdp.emit("dialogHandled", { type: d.type, message: d.message, accepted });
+    } catch (_) {
+      cdp.dialog = d; // someone else answered it, or it can't be — leave it visible
+    }
+  });
+  cdp.on("Page.javascriptDialogClosed", () => { cdp.dialog = null; });
+  // Page events from the start; enabling also re-announces a dialog that is already open
+  await cdp.send("Page.enable").catch(() => {});
+}
+
+const dialogData = (d) => d ? { type: d.type, message: d.message } : null;
+
+async function cmdDialog(action, text) {
+  if (action && action !== "accept" && action !== "dismiss") throw usageError("Usage: dialog [accept [text] | dismiss]");
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
-    await ensureIndexed(cdp);
-    // Get element position and info for CDP-level click
-    const { result } = await cdp.send("Runtime.evaluate", {
-      expression: `
+    if (!cdp.dialog) {
+      // A dialog opened before we attached is announced again once Page is enabled
+      await cdp.send("Page.enable");
+      if (!cdp.dialog) await waitForEvent(cdp, "Page.javascriptDialogOpening", 200);
+    }
+    const dialog = cdp.dialog;
+
+    if (!action) {
+      if (dialog) return new Output(`${describeDialog(dialog)} is open. Answer with: dialog accept [text] | dialog dismiss`, { dialog: dialogData(dialog), policy: dialogPolicy() });
+      // No event, but a frozen page usually means a dialog we can't see
+      const alive = await Promise.race([
+        cdp.send("Runtime.evaluate", { expression: "1" }).then(() => true, () => true),
+        new Promise(r => setTimeout(() => r(false), 1000))
+      ]);
+      if (!alive) throw new CommandError("DIALOG_OPEN", "No dialog reported, but the page isn't responding — a dialog may be open. Try: dialog accept | dialog dismiss");
+      return new Output(`No dialog open (policy: ${dialogPolicy()}).`, { dialog: null, policy: dialogPolicy() });
+    }
+
+    const params = { accept: action === "accept" };
+    if (text !== undefined) params.promptText = text;
+    try {
+      await cdp.send("Page.handleJavaScriptDialog", params);
+    } catch (err) {
+      if (/no dialog/i.test(err.message)) throw new CommandError("NOT_FOUND", "No dialog open.");
+      throw err;
+    }
+    cdp.dialog = null;
+    const what = dialog ? describeDialog(dialog) : "Dialog";
+    return new Output(`${action === "accept" ? "Accepted" : "Dismissed"}: ${what}${text !== undefined ? ` with ${JSON.stringify(text)}` : ""}`, {
+      accepted: params.accept, dialog: dialogData(dialog), ...(text !== undefined && { promptText: text })
+    });
+  } finally {
+    cdp.close();
+  }
+}
+
+// ── Keyboard ──
+
+// Named keys: key, code, windowsVirtualKeyCode, and the text they insert (if any)
+const KEYS = {
+  Enter: ["Enter", "Enter", 13, "\r"],
+  Tab: ["Tab", "Tab", 9],
+  Escape: ["Escape", "Escape", 27],
+  Backspace: ["Backspace", "Backspace", 8],
+  Delete: ["Delete", "Delete", 46],
+  Space: [" ", "Space", 32, " "],
+  ArrowUp: ["ArrowUp", "ArrowUp", 38],
+  ArrowDown: ["ArrowDown", "ArrowDown", 40],
+  ArrowLeft: ["ArrowLeft", "ArrowLeft", 37],
+  ArrowRight: ["ArrowRight", "ArrowRight", 39],
+  Home: ["Home", "Home", 36],
+  End: ["End", "End", 35],
+  PageUp: ["PageUp", "PageUp", 33],
+  PageDown: ["PageDown", "PageDown", 34],
+  Insert: ["Insert", "Insert", 45],
+  Control: ["Control", "ControlLeft", 17],
+  Shift: ["Shift", "ShiftLeft", 16],
+  Alt: ["Alt", "AltLeft", 18],
+  Meta: ["Meta", "MetaLeft", 91],
+};
+for (let i = 1; i <= 12; i++) KEYS[`F${i}`] = [`F${i}`, `F${i}`, 111 + i];
+
+const KEY_ALIASES = {
+  return: "Enter", esc: "Escape", del: "Delete", up: "ArrowUp", down: "ArrowDown",
+  left: "ArrowLeft", right: "ArrowRight", pgup: "PageUp", pgdn: "PageDown", " ": "Space"
+};
+
+// CDP modifier bits, plus the names people write them as
+const MODIFIERS = { alt: 1, option: 1, ctrl: 2, control: 2, meta: 4, cmd: 4, command: 4, shift: 8 };
+const MODIFIER_KEYS = { 1: "Alt", 2: "Control", 4: "Meta", 8: "Shift" };
+
+const SHIFTED_PUNCTUATION = `~!@#$%^&*()_+{}|:"<>?`;
+const PUNCTUATION_CODES = {
+  "`": ["Backquote", 192], "-": ["Minus", 189], "=": ["Equal", 187], "[": ["BracketLeft", 219],
+  "]": ["BracketRight", 221], "\\": ["Backslash", 220], ";": ["Semicolon", 186], "'": ["Quote", 222],
+  ",": ["Comma", 188], ".": ["Period", 190], "/": ["Slash", 191]
+};
+
+// Describe one key (no modifiers) for Input.dispatchKeyEvent
+function keyDefinition(name, shift) {
+  const named = KEYS[name] || KEYS[KEY_ALIASES[name.toLowerCase()]] ||
+    Object.values(KEYS).find(k => k[0].toLowerCase() === name.toLowerCase());
+  if (named) {
+    const [key, code, keyCode, text] = named;
+    return { key, code, windowsVirtualKeyCode: keyCode, text };
+  }
+  if ([...name].length !== 1) return null;
+  if (/[a-z]/i.test(name)) {
+    const key = shift ? name.toUpperCase() : name.toLowerCase();
+    return { key, code: `Key${name.toUpperCase()}`, windowsVirtualKeyCode: name.toUpperCase().charCodeAt(0), text: key };
+  }
+  if (/[0-9]/.test(name)) return { key: name, code: `Digit${name}`, windowsVirtualKeyCode: name.charCodeAt(0), text: name };
+  if (PUNCTUATION_CODES[name]) {
+    const [code, keyCode] = PUNCTUATION_CODES[name];
+    return { key: name, code, windowsVirtualKeyCode: keyCode, text: name };
+  }
+  // Other printable characters (shifted punctuation, non-ASCII): key and text only
+  return { key: name, code: "", windowsVirtualKeyCode: 0, text: name };
+}
+
+// Parse "Enter", "Ctrl+Shift+K", "Cmd+Enter", "Ctrl++", "+" into { modifiers, def }
+function parseKeyCombo(combo) {
+  // A trailing "+" (or a lone one) is the key itself, not a separator
+  const plus = combo.endsWith("+");
+  const rest = plus ? combo.slice(0, -1).replace(/\+$/, "") : combo;
+  const parts = rest ? rest.split("+") : [];
+  const keyName = plus ? "+" : parts.pop();
+  let modifiers = 0;
+  for (const part of parts) {
+    const bit = MODIFIERS[part.toLowerCase()];
+    if (!bit) throw new CommandError("BAD_ARGUMENT", `Unknown modifier "${part}" (use Ctrl, Shift, Alt, Meta/Cmd)`);
+    modifiers |= bit;
+  }
+  const shift = !!(modifiers & 8) || SHIFTED_PUNCTUATION.includes(keyName);
+  const def = keyDefinition(keyName, shift);
+  if (!def) throw new CommandError("BAD_ARGUMENT", `Unknown key "${keyName}"`);
+  return { modifiers, def };
+}
+
+async function pressKey(cdp, combo) {
+  const { modifiers, def } = parseKeyCombo(combo);
+  // Hold modifiers down in order, press the key, release in reverse
+  const held = [1, 2, 4, 8].filter(bit => modifiers & bit);
+  let active = 0;
+  for (const bit of held) {
+    active |= bit;
+    const [key, code, keyCode] = KEYS[MODIFIER_KEYS[bit]];
+    await cdp.send("Input.dispatchKeyEvent", { type: "rawKeyDown", key, code, windowsVirtualKeyCode: keyCode, modifiers: active });
+  }
+  // Text is only inserted for plain (or shifted) keys — Ctrl/Alt/Meta chords are shortcuts
+  const text = modifiers & ~8 ? undefined : def.text;
+  const { key, code, windowsVirtualKeyCode } = def;
+  await cdp.send("Input.dispatchKeyEvent", {
+    type: text ? "keyDown" : "rawKeyDown", key, code, windowsVirtualKeyCode, modifiers, text, unmodifiedText: text
+  });
+  await cdp.send("Input.dispatchKeyEvent", { type: "keyUp", key, code, windowsVirtualKeyCode, modifiers });
+  for (const bit of held.reverse()) {
+    active &= ~bit;
+    const [key, code, keyCode] = KEYS[MODIFIER_KEYS[bit]];
+    await cdp.send("Input.dispatchKeyEvent", { type: "keyUp", key, code, windowsVirtualKeyCode: keyCode, modifiers: active });
+  }
+}
+
+async function cmdPress(combo, index) {
+  if (!combo) throw usageError("Usage: press <key|combo> [index]\nExamples: press Enter, press Ctrl+A, press Shift+Tab 4");
+  parseKeyCombo(combo); // validate before touching the page
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    let on = "";
+    if (index !== undefined) {
+      // Focus the element first (without clicking it)
+      await ensureIndexed(cdp);
+      const scope = await resolveRef(cdp, index);
+      if (scope.index === null) throw usageError("Usage: press <key|combo> [index|fN:index]");
+      const { result } = await scope.evaluate(`
         (() => {
-          const el = (window.__bjsDeepQuery && window.__bjsDeepQuery(${index})) || document.querySelector('[data-bjs-idx="${index}"]');
-          if (!el) return JSON.stringify({ error: 'Element not found at index ${index}. Try: elements' });
+          const el = ${STAMPED_JS(scope.index)};
+          if (!el) return false;
           el.scrollIntoView({ block: 'center' });
-          const rect = el.getBoundingClientRect();
-          const label = (el.getAttribute('role') || el.tagName.toLowerCase());
-          const desc = (el.getAttribute('aria-label') || el.textContent || '').trim().slice(0, 80);
-          return JSON.stringify({
-            x: rect.x + rect.width / 2,
-            y: rect.y + rect.height / 2,
-            label, desc
-          });
+          el.focus();
+          return true;
         })()
-      `,
-      returnByValue: true
-    });
+      `);
+      if (!result.value) throw new CommandError("NOT_FOUND", `Element [${index}] not found. Run elements to re-index.`);
+      on = ` on [${index}]`;
+    }
+    const effect = await observeEffects(cdp, () => pressKey(cdp, combo));
+    return new Output(`Pressed ${combo}${on}${effect}`, { key: combo, index: index === undefined ? null : refValue(index), effect: effect.slice(3) });
+  } finally {
+    cdp.close();
+  }
+}
+
+async function cmdClick(index) {
+  if (index === undefined) throw usageError("Usage: click <index>");
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    await ensureIndexed(cdp);
+    const scope = await resolveRef(cdp, index);
+    if (scope.index === null) throw usageError("Usage: click <index|fN:index>");
+    // Get element position and info for CDP-level click
+    const { result } = await scope.evaluate(`
+      (() => {
+        const el = ${STAMPED_JS(scope.index)};
+        if (!el) return JSON.stringify({ error: 'Element not found at index ${index}. Try: elements' });
+        el.scrollIntoView({ block: 'center' });
+        const rect = el.getBoundingClientRect();
+        const label = (el.getAttribute('role') || el.tagName.toLowerCase());
+        const desc = (el.getAttribute('aria-label') || el.textContent || '').trim().slice(0, 80);
+        return JSON.stringify({
+          x: rect.x + rect.width / 2,
+          y: rect.y + rect.height / 2,
+          label, desc
+        });
+      })()
+    `);
 
     const info = JSON.parse(result.value);
-    if (info.error) return info.error;
+    if (info.error) throw pageError(info.error);
+    // Frame-relative coordinates → top-level viewport
+    const offset = await scope.offset();
 
     // Dispatch real mouse events via CDP Input domain — triggers React/Vue/Angular handlers
-    const opts = { x: info.x, y: info.y, button: "left", clickCount: 1 };
-    await cdp.send("Input.dispatchMouseEvent", { type: "mousePressed", ...opts });
-    await cdp.send("Input.dispatchMouseEvent", { type: "mouseReleased", ...opts });
+    const consoleErrors = await watchConsoleErrors(cdp);
+    const effect = await observeEffects(cdp, () => pointerClick(cdp, info.x + offset.x, info.y + offset.y));
 
-    return `Clicked: (${info.label}) ${info.desc}`;
+    return new Output(`Clicked: (${info.label}) ${info.desc}${effect}${consoleErrors()}`, {
+      index: refValue(index), label: info.label, desc: info.desc, effect: effect.slice(3), consoleErrors: consoleErrors.count
+    });
   } finally {
     cdp.close();
   }
 }
 
-async function cmdType(index, text) {
-  if (index === undefined || !text) return "Usage: type <index> <text>";
+async function cmdType(index, text, opts = {}) {
+  // "" is allowed: it clears the field
+  if (index === undefined || text === undefined) throw usageError("Usage: type <index> <text> [--submit]");
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
     await ensureIndexed(cdp);
+    const scope = await resolveRef(cdp, index);
+    if (scope.index === null) throw usageError("Usage: type <index|fN:index> <text>");
+    const el = STAMPED_JS(scope.index);
 
     // Get element info, verify it's typeable, get position for clicking
-    const { result } = await cdp.send("Runtime.evaluate", {
-      expression: `
-        (() => {
-          const el = (window.__bjsDeepQuery && window.__bjsDeepQuery(${index})) || document.querySelector('[data-bjs-idx="${index}"]');
-          if (!el) return JSON.stringify({ error: 'Element [${index}] not found. Run elements to re-index.' });
-          const tag = el.tagName.toLowerCase();
-          const ce = el.isContentEditable;
-          const role = el.getAttribute('role') || '';
-          const type = el.type || '';
-          const typeable = tag === 'input' || tag === 'textarea' || ce || role === 'textbox';
-          if (!typeable) return JSON.stringify({ error: 'Element [${index}] is a ' + tag + ', not a text input. Run elements to re-index.' });
-          el.scrollIntoView({ block: 'center' });
-          const rect = el.getBoundingClientRect();
-          return JSON.stringify({ ok: true, tag, ce, x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
-        })()
-      `,
-      returnByValue: true
-    });
+    const { result } = await scope.evaluate(`
+      (() => {
+        const el = ${el};
+        if (!el) return JSON.stringify({ error: 'Element [${index}] not found. Run elements to re-index.' });
+        const tag = el.tagName.toLowerCase();
+        const ce = el.isContentEditable;
+        const role = el.getAttribute('role') || '';
+        const type = el.type || '';
+        const typeable = tag === 'input' || tag === 'textarea' || ce || role === 'textbox';
+        if (!typeable) return JSON.stringify({ error: 'Element [${index}] is a ' + tag + ', not a text input. Run elements to re-index.' });
+        el.scrollIntoView({ block: 'center' });
+        const rect = el.getBoundingClientRect();
+        return JSON.stringify({ ok: true, tag, ce, x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+      })()
+    `);
 
     const info = JSON.parse(result.value);
-    if (info.error) return info.error;
+    if (info.error) throw pageError(info.error);
+    const offset = await scope.offset();
+    const consoleErrors = await watchConsoleErrors(cdp);
 
     // Click with real mouse events for proper focus (critical for custom editors / SPAs)
-    const clickOpts = { x: info.x, y: info.y, button: "left", clickCount: 1 };
+    const clickOpts = { x: info.x + offset.x, y: info.y + offset.y, button: "left", clickCount: 1 };
     await cdp.send("Input.dispatchMouseEvent", { type: "mousePressed", ...clickOpts });
     await cdp.send("Input.dispatchMouseEvent", { type: "mouseReleased", ...clickOpts });
     await new Promise(r => setTimeout(r, 100));
@@ -429,82 +1225,536 @@ async function cmdType(index, text) {
     // Clear existing content
     if (info.ce) {
       // For contenteditable: select all via JS, then delete
-      await cdp.send("Runtime.evaluate", {
-        expression: `
-          (() => {
-            const el = (window.__bjsDeepQuery && window.__bjsDeepQuery(${index})) || document.querySelector('[data-bjs-idx="${index}"]');
-            if (el) {
-              const range = document.createRange();
-              range.selectNodeContents(el);
-              const sel = window.getSelection();
-              sel.removeAllRanges();
-              sel.addRange(range);
-            }
-          })()
-        `
-      });
+      await scope.evaluate(`
+        (() => {
+          const el = ${el};
+          if (el) {
+            const range = document.createRange();
+            range.selectNodeContents(el);
+            const sel = window.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(range);
+          }
+        })()
+      `);
       await cdp.send("Input.dispatchKeyEvent", { type: "keyDown", key: "Backspace", code: "Backspace" });
       await cdp.send("Input.dispatchKeyEvent", { type: "keyUp", key: "Backspace", code: "Backspace" });
     } else {
       // For input/textarea: clear value
-      await cdp.send("Runtime.evaluate", {
-        expression: `
-          (() => {
-            const el = (window.__bjsDeepQuery && window.__bjsDeepQuery(${index})) || document.querySelector('[data-bjs-idx="${index}"]');
-            if (el) el.value = '';
-          })()
-        `
-      });
+      await scope.evaluate(`
+        (() => {
+          const el = ${el};
+          if (el) el.value = '';
+        })()
+      `);
     }
 
     // Insert text via Input.insertText (works for both input and contenteditable)
-    try {
-      await cdp.send("Input.insertText", { text });
-    } catch (_) {
-      // Fallback: character-by-character key dispatch
-      for (const char of text) {
-        await cdp.send("Input.dispatchKeyEvent", { type: "keyDown", text: char, key: char, unmodifiedText: char });
-        await cdp.send("Input.dispatchKeyEvent", { type: "keyUp", key: char });
+    if (text) {
+      try {
+        await cdp.send("Input.insertText", { text });
+      } catch (_) {
+        // Fallback: character-by-character key dispatch
+        for (const char of text) {
+          await cdp.send("Input.dispatchKeyEvent", { type: "keyDown", text: char, key: char, unmodifiedText: char });
+          await cdp.send("Input.dispatchKeyEvent", { type: "keyUp", key: char });
+        }
       }
     }
 
     // Backup for input/textarea: also set .value directly for React/Vue state sync
     if (!info.ce) {
-      await cdp.send("Runtime.evaluate", {
-        expression: `
-          (() => {
-            const el = (window.__bjsDeepQuery && window.__bjsDeepQuery(${index})) || document.querySelector('[data-bjs-idx="${index}"]');
-            if (el && !el.isContentEditable) {
-              const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')?.set
-                || Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value')?.set;
-              if (setter) setter.call(el, ${JSON.stringify(text)});
-              else el.value = ${JSON.stringify(text)};
-              el.dispatchEvent(new Event('input', { bubbles: true }));
-              el.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-          })()
-        `
+      await scope.evaluate(`
+        (() => {
+          const el = ${el};
+          if (el && !el.isContentEditable) {
+            const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')?.set
+              || Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value')?.set;
+            if (setter) setter.call(el, ${JSON.stringify(text)});
+            else el.value = ${JSON.stringify(text)};
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+          }
+        })()
+      `);
+    }
+
+    const typed = `${text ? "Typed into" : "Cleared"} [${index}] (${info.tag}${info.ce ? ', contenteditable' : ''})`;
+    const data = { index: refValue(index), tag: info.tag, contenteditable: !!info.ce, submitted: !!opts.submit };
+    if (!opts.submit) return new Output(typed + consoleErrors(), { ...data, consoleErrors: consoleErrors.count });
+    // Submit with a real Enter key press and report what it led to
+    const effect = await observeEffects(cdp, () => pressKey(cdp, "Enter"));
+    return new Output(`${typed} and submitted${effect}${consoleErrors()}`, { ...data, effect: effect.slice(3), consoleErrors: consoleErrors.count });
+  } finally {
+    cdp.close();
+  }
+}
+
+// ── Form controls ──
+// Native <select>, checkbox/radio and value inputs (range, date, color, ...). Values are set
+// through the prototype setters and announced with input/change events, as in cmdType, so
+// React/Vue state follows along.
+
+// Connect, resolve an element index (or fN:index) and run fn(cdp, scope)
+async function withElement(index, fn) {
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    await ensureIndexed(cdp);
+    const scope = await resolveRef(cdp, index);
+    if (scope.index === null) throw new CommandError("BAD_ARGUMENT", `Expected an element index, got: ${index}`);
+    return await fn(cdp, scope);
+  } finally {
+    cdp.close();
+  }
+}
+
+// Evaluate a page snippet that returns JSON; { error } results become the command's message
+async function evaluateJSON(scope, expression) {
+  const { result, exceptionDetails } = await scope.evaluate(expression);
+  if (exceptionDetails) throw new CommandError("JS_ERROR", exceptionDetails.exception?.description || exceptionDetails.text);
+  return JSON.parse(result.value);
+}
+
+async function cmdSelect(index, option) {
+  if (index === undefined || !option) throw usageError("Usage: select <index> <option text|value>");
+  return withElement(index, async (cdp, scope) => {
+    const info = await evaluateJSON(scope, `
+      (() => {
+        const el = ${STAMPED_JS(scope.index)};
+        if (!el) return JSON.stringify({ error: 'Element [${index}] not found. Run elements to re-index.' });
+        if (el.tagName !== 'SELECT') return JSON.stringify({ error: 'Element [${index}] is a ' + el.tagName.toLowerCase() + ', not a select. Use click for custom dropdowns.' });
+        const want = ${JSON.stringify(option)};
+        const norm = (s) => s.trim().replace(/\\s+/g, ' ').toLowerCase();
+        const options = [...el.options];
+        const opt = options.find(o => o.text.trim() === want) || options.find(o => o.value === want)
+          || options.find(o => norm(o.text) === norm(want)) || options.find(o => norm(o.text).includes(norm(want)));
+        if (!opt) return JSON.stringify({ error: 'No option "' + want + '" in [${index}]. Options: ' + options.map(o => o.text.trim()).slice(0, 30).join(' | ') });
+        if (opt.disabled) return JSON.stringify({ error: 'Option "' + opt.text.trim() + '" is disabled' });
+        if (el.multiple) opt.selected = true;
+        else el.selectedIndex = opt.index;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return JSON.stringify({ text: opt.text.trim(), value: opt.value });
+      })()
+    `);
+    if (info.error) throw pageError(info.error);
+    return new Output(`Selected "${info.text}" in [${index}]${info.value !== info.text ? ` (value=${info.value})` : ""}`, { index: refValue(index), text: info.text, value: info.value });
+  });
+}
+
+async function cmdCheck(index, checked) {
+  if (index === undefined) throw usageError(`Usage: ${checked ? "check" : "uncheck"} <index>`);
+  return withElement(index, async (cdp, scope) => {
+    const el = STAMPED_JS(scope.index);
+    const state = (extra = "") => evaluateJSON(scope, `
+      (() => {
+        const el = ${el};
+        if (!el) return JSON.stringify({ error: 'Element [${index}] not found. Run elements to re-index.' });
+        const role = el.getAttribute('role') || '';
+        const kind = (el.type === 'checkbox' || el.type === 'radio') ? el.type : (role === 'checkbox' || role === 'radio' || role === 'switch') ? role : null;
+        if (!kind) return JSON.stringify({ error: 'Element [${index}] is not a checkbox or radio' });
+        ${extra}
+        const checked = el.type === kind ? el.checked : el.getAttribute('aria-checked') === 'true';
+        const rect = el.getBoundingClientRect();
+        return JSON.stringify({ kind, checked, x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+      })()
+    `);
+
+    let info = await state("el.scrollIntoView({ block: 'center' });");
+    if (info.error) throw pageError(info.error);
+    const label = `[${index}] (${info.kind})`;
+    const data = { index: refValue(index), kind: info.kind, checked };
+    if (info.checked === checked) return new Output(`${label} already ${checked ? "checked" : "unchecked"}`, { ...data, changed: false });
+    if (!checked && info.kind === "radio") throw new CommandError("INVALID_TARGET", `${label} is a radio — check another option in its group instead`);
+
+    // A real click toggles it the way a user would (custom widgets, labels, framework handlers)
+    const offset = await scope.offset();
+    const opts = { x: info.x + offset.x, y: info.y + offset.y, button: "left", clickCount: 1 };
+    await cdp.send("Input.dispatchMouseEvent", { type: "mousePressed", ...opts });
+    await cdp.send("Input.dispatchMouseEvent", { type: "mouseReleased", ...opts });
+    info = await state();
+
+    if (info.checked !== checked && (info.kind === "checkbox" || info.kind === "radio")) {
+      // Click didn't land (covered or zero-size input) — set it directly and announce the change
+      info = await state(`
+        if (el.checked !== ${checked}) {
+          Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked').set.call(el, ${checked});
+          el.dispatchEvent(new Event('click', { bubbles: true }));
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+      `);
+    }
+    if (info.checked !== checked) throw new CommandError("ACTION_FAILED", `${label} did not change — it may be controlled by another element`);
+    return new Output(`${checked ? "Checked" : "Unchecked"} ${label}`, { ...data, changed: true });
+  });
+}
+
+async function cmdSet(index, value) {
+  if (index === undefined || value === undefined) throw usageError("Usage: set <index> <value>  (range, date, time, color, number...)");
+  return withElement(index, async (cdp, scope) => {
+    const info = await evaluateJSON(scope, `
+      (() => {
+        const el = ${STAMPED_JS(scope.index)};
+        if (!el) return JSON.stringify({ error: 'Element [${index}] not found. Run elements to re-index.' });
+        const tag = el.tagName.toLowerCase();
+        const label = tag === 'input' ? 'input:' + el.type : tag;
+        if (!(tag === 'input' || tag === 'textarea') || ['checkbox', 'radio', 'file', 'button', 'submit', 'reset', 'image'].includes(el.type))
+          return JSON.stringify({ error: 'Element [${index}] is ' + label + ' — set works on value inputs (use check/select/upload for others)' });
+        const proto = tag === 'textarea' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+        Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, ${JSON.stringify(value)});
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return JSON.stringify({ label, value: el.value });
+      })()
+    `);
+    if (info.error) throw pageError(info.error);
+    // The browser sanitizes values it can't parse (e.g. a bad date becomes "")
+    if (info.value === "" && value !== "") throw new CommandError("BAD_ARGUMENT", `Value "${value}" rejected by [${index}] (${info.label}) — check the format`);
+    return new Output(`Set [${index}] (${info.label}) to ${info.value}${info.value !== value ? ` (adjusted from ${value})` : ""}`, { index: refValue(index), label: info.label, value: info.value });
+  });
+}
+
+// ── Forms ──
+// form lists each <form>'s fields with the label a user would read; fill maps a
+// { "Label": value } spec onto those fields and drives them through type/select/check/set.
+
+// Lists fields of every form (after ELEMENTS_JS has stamped indices), pierces shadow DOM
+function FORM_JS(selector) {
+  return `
+    (() => {
+${DEEP_QUERY_JS}
+      const clean = (s) => (s || '').replace(/\\s+/g, ' ').trim();
+
+      // Label text without the text of controls nested inside it
+      function labelText(label) {
+        const copy = label.cloneNode(true);
+        copy.querySelectorAll('input, select, textarea, button').forEach(n => n.remove());
+        return clean(copy.textContent);
+      }
+
+      function fieldLabel(el) {
+        const ids = el.getAttribute('aria-labelledby');
+        if (ids) {
+          const root = el.getRootNode();
+          const text = clean(ids.split(/\\s+/).map(id => root.getElementById?.(id)?.textContent || document.getElementById(id)?.textContent || '').join(' '));
+          if (text) return text;
+        }
+        if (el.getAttribute('aria-label')) return clean(el.getAttribute('aria-label'));
+        const fromLabel = el.labels && [...el.labels].map(labelText).filter(Boolean).join(' ');
+        if (fromLabel) return fromLabel;
+        return clean(el.placeholder || el.title || el.name || el.id || '');
+      }
+
+      function fieldKind(el) {
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'input') return el.type || 'text';
+        if (tag === 'select' || tag === 'textarea') return tag;
+        return 'textbox'; // contenteditable / role=textbox
+      }
+
+      const sel = ${JSON.stringify(selector)};
+      const scope = sel ? document.querySelector(sel) : document;
+      if (!scope) return JSON.stringify({ error: 'Selector not found: ' + sel });
+      const forms = scope.tagName === 'FORM' ? [scope] : deepQueryAll(scope, 'form');
+      const controls = deepQueryAll(scope, 'input, select, textarea, [contenteditable="true"], [role="textbox"]')
+        .filter(el => !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type) && el.hasAttribute('data-bjs-idx'));
+      const buttons = deepQueryAll(scope, 'button, input[type=submit], input[type=image]')
+        .filter(el => (el.type === 'submit' || el.type === 'image') && el.hasAttribute('data-bjs-idx'));
+
+      const describe = (el) => {
+        const kind = fieldKind(el);
+        const field = { idx: el.getAttribute('data-bjs-idx'), label: fieldLabel(el), kind, name: el.name || '' };
+        if (el.required || el.getAttribute('aria-required') === 'true') field.required = true;
+        if (el.disabled) field.disabled = true;
+        if (kind === 'checkbox' || kind === 'radio') field.checked = el.checked;
+        if (kind === 'radio') field.value = el.value;
+        else if (kind === 'select') field.value = [...el.selectedOptions].map(o => o.text.trim()).join(', ');
+        else if (kind !== 'password' && kind !== 'file') field.value = clean(el.value ?? el.textContent).slice(0, 40);
+        if (el.placeholder && el.placeholder !== field.label) field.placeholder = el.placeholder;
+        return field;
+      };
+      const group = (form) => ({
+        id: form ? form.id || form.getAttribute('name') || '' : '',
+        action: form ? form.getAttribute('action') || '' : '',
+        fields: controls.filter(el => (el.form || null) === form).map(describe),
+        submit: buttons.filter(el => (el.form || null) === form).map(el => ({ idx: el.getAttribute('data-bjs-idx'), label: clean(el.textContent || el.value) }))
       });
+
+      const groups = forms.map(group);
+      const loose = group(null);
+      if (loose.fields.length) groups.push({ ...loose, loose: true });
+      return JSON.stringify(groups);
+    })()
+  `;
+}
+
+async function readForms(cdp, selector) {
+  await cdp.send("Runtime.evaluate", { expression: ELEMENTS_JS(null), returnByValue: true });
+  const { result } = await cdp.send("Runtime.evaluate", { expression: FORM_JS(selector || null), returnByValue: true });
+  return JSON.parse(result.value);
+}
+
+async function cmdForm(selector) {
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    const forms = await readForms(cdp, selector);
+    if (forms.error) throw pageError(forms.error);
+    if (forms.length === 0) return new Output("No forms found.", { forms: [] });
+    const lines = [];
+    forms.forEach((form, i) => {
+      const where = [form.id && `#${form.id}`, form.action && `→ ${form.action}`].filter(Boolean).join(" ");
+      lines.push(form.loose ? "Fields outside any form:" : `Form ${i + 1}${where ? " " + where : ""}:`);
+      for (const f of form.fields) {
+        const flags = [f.kind, f.required && "required", f.disabled && "disabled"].filter(Boolean).join(", ");
+        let state = "";
+        if (f.checked !== undefined) state = f.checked ? " [x]" : " [ ]";
+        else if (f.value) state = ` = ${f.value}`;
+        lines.push(`  [${f.idx}] ${f.label || "(unlabeled)"} (${flags})${state}${f.placeholder ? ` placeholder="${f.placeholder}"` : ""}`);
+      }
+      for (const b of form.submit) lines.push(`  [${b.idx}] submit: ${b.label}`);
+      if (form.fields.length === 0 && form.submit.length === 0) lines.push("  (no visible fields)");
+    });
+    // idx → index, as elements reports it
+    const data = forms.map((form, i) => ({
+      form: form.loose ? null : i + 1, id: form.id, action: form.action,
+      fields: form.fields.map(({ idx, ...f }) => ({ index: refValue(idx), ...f })),
+      submit: form.submit.map(({ idx, label }) => ({ index: refValue(idx), label }))
+    }));
+    return new Output(lines.join("\n"), { forms: data });
+  } finally {
+    cdp.close();
+  }
+}
+
+// Minimal YAML for flat specs: "Label: value" lines, # comments, quoted strings, true/false/numbers
+function parseFlatYaml(source) {
+  const spec = {};
+  for (const raw of source.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#") || line === "---") continue;
+    const m = line.match(/^("[^"]*"|'[^']*'|[^:]+):\s*(.*)$/);
+    if (!m) throw new CommandError("BAD_ARGUMENT", `Cannot parse spec line: ${raw}`);
+    const unquote = (v) => /^(["']).*\1$/.test(v) ? v.slice(1, -1) : v;
+    // A trailing " # comment" ends the value, except inside a quoted one ("ticket #42")
+    const quoted = m[2].match(/^(["'])(.*?)\1\s*(?:#.*)?$/);
+    let value = quoted ? quoted[2] : m[2].replace(/(^|\s+)#.*$/, "").trim();
+    if (!quoted) {
+      if (/^(true|yes|on)$/i.test(value)) value = true;
+      else if (/^(false|no|off)$/i.test(value)) value = false;
     }
+    spec[unquote(m[1].trim())] = value;
+  }
+  return spec;
+}
+
+function loadFillSpec(source) {
+  const text = source.trim().startsWith("{") ? source : readFileSync(source, "utf8");
+  return text.trim().startsWith("{") ? JSON.parse(text) : parseFlatYaml(text);
+}
+
+// Labels compare case-insensitively, ignoring a trailing "*" or ":"
+function normLabel(s) {
+  return String(s ?? "").toLowerCase().replace(/[*:]+\s*$/, "").replace(/\s+/g, " ").trim();
+}
+
+// Best field for a spec key: exact label, then name, then prefix, then substring
+function matchField(fields, key) {
+  const k = normLabel(key);
+  return fields.find(f => normLabel(f.label) === k)
+    || fields.find(f => normLabel(f.name) === k)
+    || fields.find(f => normLabel(f.label).startsWith(k))
+    || fields.find(f => normLabel(f.label).includes(k))
+    || fields.find(f => f.placeholder && normLabel(f.placeholder).includes(k));
+}
 
-    return `Typed into [${index}] (${info.tag}${info.ce ? ', contenteditable' : ''})`;
+async function cmdFill(source, opts = {}) {
+  if (!source) throw usageError("Usage: fill <spec.json|spec.yaml|'{\"Label\": \"value\"}'> [--form N]");
+  const spec = loadFillSpec(source);
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  let forms;
+  try {
+    forms = await readForms(cdp, null);
   } finally {
     cdp.close();
   }
+  if (opts.form) {
+    const form = forms[parseInt(opts.form) - 1];
+    if (!form) throw new CommandError("NOT_FOUND", `No form ${opts.form}. Run: form`);
+    forms = [form];
+  }
+  const fields = forms.flatMap(f => f.fields).filter(f => !f.disabled);
+
+  const results = [];
+  const fillField = async (field, value) => {
+    if (field.kind === "radio" && typeof value !== "boolean") {
+      // "Plan": "Pro" — pick the radio in the group whose label matches the value
+      const group = fields.filter(f => f.kind === "radio" && f.name && f.name === field.name);
+      const radio = matchField(group, value) || group.find(f => normLabel(f.value) === normLabel(value));
+      if (!radio) throw new CommandError("NOT_FOUND", `no option "${value}"`);
+      return cmdCheck(radio.idx, true);
+    }
+    if (field.kind === "checkbox" || field.kind === "radio") return cmdCheck(field.idx, value !== false && value !== "false");
+    if (field.kind === "select") return cmdSelect(field.idx, String(value));
+    if (["text", "email", "password", "search", "tel", "url", "textarea", "textbox"].includes(field.kind)) return cmdType(field.idx, String(value));
+    if (field.kind === "file") throw new CommandError("INVALID_TARGET", `[${field.idx}] is a file input — use upload`);
+    return cmdSet(field.idx, String(value));
+  };
+  for (const [key, value] of Object.entries(spec)) {
+    const field = matchField(fields, key);
+    try {
+      if (!field) throw new CommandError("NOT_FOUND", "no matching field");
+      results.push({ field: key, ok: true, index: refValue(field.idx), result: String(await fillField(field, value)) });
+    } catch (err) {
+      results.push({ field: key, ok: false, index: field ? refValue(field.idx) : undefined, error: { code: errorCode(err), message: err.message } });
+    }
+  }
+  const text = results.map(r => `${r.field}: ${r.ok ? r.result : r.error.message}`).join("\n");
+  return new Output(text, { fields: results });
+}
+
+// selector: CSS selector, or an element/frame reference from elements ("3", "f1:3", "f1")
+// Text is extracted whole in the page and paged here, so --page/--offset see the same string
+const TEXT_PAGE_SIZE = 8000;
+const TEXT_MAX = 1000000;
+
+const MARKDOWN_JS = `
+  function toMarkdown(root) {
+    const SKIP = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'TEMPLATE', 'HEAD'];
+    const BLOCK = ['P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'NAV', 'ASIDE', 'FIGURE',
+      'FIGCAPTION', 'FORM', 'FIELDSET', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD', 'ADDRESS', 'CAPTION'];
+    // Inline <svg> reports a lowercase tagName (and no offsetParent), so compare upper-cased
+    const hidden = (el) => SKIP.includes(el.tagName.toUpperCase()) ||
+      (el !== root && !['BODY', 'HTML'].includes(el.tagName) && el.offsetParent === null && getComputedStyle(el).position !== 'fixed');
+    const kids = (el) => [...(el.shadowRoot ? el.shadowRoot.childNodes : []), ...el.childNodes];
+    const inner = (el, depth) => kids(el).map(n => walk(n, depth)).join('');
+    const oneLine = (s) => s.replace(/\\s+/g, ' ').trim();
+
+    function list(el, depth) {
+      let n = 0;
+      const items = [];
+      for (const li of kids(el)) {
+        if (li.nodeType !== 1 || li.tagName !== 'LI' || hidden(li)) continue;
+        const marker = el.tagName === 'OL' ? (++n) + '. ' : '- ';
+        const body = inner(li, depth + 1).trim().replace(/\\n{2,}/g, '\\n');
+        items.push('  '.repeat(depth) + marker + body);
+      }
+      return '\\n\\n' + items.join('\\n') + '\\n\\n';
+    }
+
+    function table(el) {
+      const rows = [...el.querySelectorAll('tr')].filter(tr => tr.closest('table') === el && !hidden(tr))
+        .map(tr => [...tr.children].filter(c => c.tagName === 'TD' || c.tagName === 'TH')
+          .map(c => oneLine(inner(c, 0)).replace(/\\|/g, '\\\\|')));
+      if (rows.length === 0) return '';
+      const width = Math.max(...rows.map(r => r.length));
+      const line = (r) => '| ' + Array.from({ length: width }, (_, i) => r[i] || '').join(' | ') + ' |';
+      return '\\n\\n' + [line(rows[0]), '|' + ' --- |'.repeat(width), ...rows.slice(1).map(line)].join('\\n') + '\\n\\n';
+    }
+
+    function walk(node, depth) {
+      if (node.nodeType === 3) return node.textContent.replace(/\\s+/g, ' ');
+      if (node.nodeType !== 1 || hidden(node)) return '';
+      const tag = node.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        const text = oneLine(inner(node, depth));
+        return text ? '\\n\\n' + '#'.repeat(+tag[1]) + ' ' + text + '\\n\\n' : '';
+      }
+      if (tag === 'UL' || tag === 'OL') return list(node, depth);
+      if (tag === 'TABLE') return table(node);
+      if (tag === 'BR') return '\\n';
+      if (tag === 'HR') return '\\n\\n---\\n\\n';
+      if (tag === 'PRE') return '\\n\\n\\x60\\x60\\x60\\n' + node.textContent.replace(/\\n$/, '') + '\\n\\x60\\x60\\x60\\n\\n';
+      const text = inner(node, depth);
+      if (tag === 'A') {
+        const label = oneLine(text);
+        const href = node.getAttribute('href');
+        if (!label || !href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+        return '[' + label + '](' + node.href + ')';
+      }
+      if (tag === 'CODE') return oneLine(text) ? '\\x60' + oneLine(text) + '\\x60' : '';
+      if (tag === 'STRONG' || tag === 'B') return oneLine(text) ? '**' + oneLine(text) + '**' : '';
+      if (tag === 'BLOCKQUOTE') return '\\n\\n' + text.trim().split('\\n').map(l => '> ' + l).join('\\n') + '\\n\\n';
+      if (BLOCK.includes(tag) || tag === 'LI') return '\\n\\n' + text.trim() + '\\n\\n';
+      return text;
+    }
+
+    // Tidy whitespace, except list indentation and the inside of code blocks
+    let fenced = false;
+    return walk(root, 0)
+      .split('\\n')
+      .map(l => {
+        if (l.trim() === '\\x60\\x60\\x60') fenced = !fenced;
+        else if (fenced) return l;
+        return /^\\s+(-|\\d+\\.) /.test(l) ? l.trimEnd() : l.trim();
+      })
+      .join('\\n')
+      .replace(/\\n{3,}/g, '\\n\\n')
+      .trim();
+  }
+`;
+
+// Cut text into pages of about TEXT_PAGE_SIZE, preferring line, then word boundaries
+function textPages(text) {
+  const starts = [0];
+  let pos = 0;
+  while (text.length - pos > TEXT_PAGE_SIZE) {
+    let end = pos + TEXT_PAGE_SIZE;
+    const newline = text.lastIndexOf("\n", end);
+    const space = text.lastIndexOf(" ", end);
+    if (newline > pos + TEXT_PAGE_SIZE / 2) end = newline + 1;
+    else if (space > pos + TEXT_PAGE_SIZE / 2) end = space + 1;
+    starts.push(end);
+    pos = end;
+  }
+  return starts.map((start, i) => text.slice(start, starts[i + 1]));
 }
 
-async function cmdText(selector) {
+function paginateText(text, opts) {
+  if (opts.offset !== undefined) {
+    const offset = parseInt(opts.offset);
+    if (!(offset >= 0)) throw usageError("Usage: text [selector|index] --offset <chars>");
+    if (offset >= text.length) throw new CommandError("BAD_ARGUMENT", `Offset ${offset} is past the end (${text.length} characters).`);
+    const end = Math.min(offset + TEXT_PAGE_SIZE, text.length);
+    const next = end < text.length ? `; next: --offset ${end}` : "";
+    const chunk = text.slice(offset, end).trim();
+    return new Output(`${chunk}\n\n(characters ${offset}-${end} of ${text.length}${next})`, { text: chunk, offset, end, length: text.length });
+  }
+  const pages = textPages(text);
+  const page = opts.page !== undefined ? parseInt(opts.page) : 1;
+  if (!(page >= 1)) throw usageError("Usage: text [selector|index] --page <n>");
+  if (page > pages.length) throw new CommandError("BAD_ARGUMENT", `Page ${page} is past the end (${pages.length} page${pages.length === 1 ? "" : "s"}).`);
+  const body = pages[page - 1].trim();
+  return new Output(pages.length > 1 ? `${body}\n\n(page ${page}/${pages.length})` : body, { text: body, page, pages: pages.length });
+}
+
+async function cmdText(selector, opts = {}) {
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
-    const { result } = await cdp.send("Runtime.evaluate", {
-      expression: `
+    const isRef = /^(f\d+(:\d+)?|\d+)$/.test(selector || "");
+    const scope = isRef ? await resolveRef(cdp, selector) : null;
+    const evaluate = scope ? scope.evaluate : (expression) => cdp.send("Runtime.evaluate", { expression, returnByValue: true });
+    let rootJs = "document.body";
+    let missing = "(empty page)";
+    if (scope?.index != null) {
+      rootJs = STAMPED_JS(scope.index);
+      missing = `Element [${selector}] not found. Run elements to re-index.`;
+    } else if (selector && !isRef) {
+      rootJs = `document.querySelector(${JSON.stringify(selector)})`;
+      missing = `Selector not found: ${selector}`;
+    }
+    const { result } = await evaluate(`
         (() => {
-          const sel = ${JSON.stringify(selector || null)};
-          const root = sel ? document.querySelector(sel) : document.body;
-          if (!root) return 'Selector not found: ' + sel;
+          const root = ${rootJs};
+          if (!root) return JSON.stringify({ error: ${JSON.stringify(missing)} });
 
-          const MAX = 8000;
+          const MAX = ${TEXT_MAX};
+          ${opts.markdown ? `${MARKDOWN_JS}
+          return JSON.stringify({ text: toMarkdown(root).slice(0, MAX) });` : ""}
           const chunks = [];
           let totalLen = 0;
 
@@ -535,21 +1785,20 @@ async function cmdText(selector) {
           }
 
           extractText(root);
-          let text = chunks.join(' ').replace(/\\s+/g, ' ').trim();
-          if (text.length > MAX) text = text.slice(0, MAX) + '... (truncated)';
-          return text || '(empty page)';
+          return JSON.stringify({ text: chunks.join(' ').replace(/\\s+/g, ' ').trim().slice(0, MAX) });
         })()
-      `,
-      returnByValue: true
-    });
-    return result.value;
+      `);
+    const { text, error } = JSON.parse(result.value);
+    if (error) throw pageError(error);
+    if (!text) return new Output("(empty page)", { text: "", page: 1, pages: 1 });
+    return paginateText(text, opts);
   } finally {
     cdp.close();
   }
 }
 
 async function cmdHtml(selector) {
-  if (!selector) return "Usage: html <css-selector>";
+  if (!selector) throw usageError("Usage: html <css-selector>");
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
@@ -557,21 +1806,22 @@ async function cmdHtml(selector) {
       expression: `
         (() => {
           const el = document.querySelector(${JSON.stringify(selector)});
-          if (!el) return 'Selector not found: ' + ${JSON.stringify(selector)};
+          if (!el) return null;
           const html = el.outerHTML;
           return html.length > 10000 ? html.slice(0, 10000) + '... (truncated)' : html;
         })()
       `,
       returnByValue: true
     });
-    return result.value;
+    if (result.value == null) throw new CommandError("NOT_FOUND", `Selector not found: ${selector}`);
+    return new Output(result.value, { html: result.value });
   } finally {
     cdp.close();
   }
 }
 
 async function cmdEval(js) {
-  if (!js) return "Usage: eval <javascript>";
+  if (!js) throw usageError("Usage: eval <javascript>");
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
@@ -580,25 +1830,228 @@ async function cmdEval(js) {
       returnByValue: true,
       awaitPromise: true
     });
-    if (exceptionDetails) {
-      return `Error: ${exceptionDetails.exception?.description || exceptionDetails.text}`;
+    if (exceptionDetails) throw new CommandError("JS_ERROR", exceptionDetails.exception?.description || exceptionDetails.text);
+    if (result.value !== undefined) {
+      return new Output(typeof result.value === 'string' ? result.value : JSON.stringify(result.value, null, 2), { value: result.value });
+    }
+    if (result.description) return new Output(result.description, { value: null, description: result.description });
+    return new Output(result.type === 'undefined' ? '(undefined)' : JSON.stringify(result), { value: null, type: result.type });
+  } finally {
+    cdp.close();
+  }
+}
+
+// Viewport boxes of the elements stamped in one document; labels get the frame prefix
+function MARK_BOXES_JS(prefix) {
+  return `
+    (() => {
+${DEEP_QUERY_JS}
+      return JSON.stringify(deepQueryAll(document, '[data-bjs-idx]').map(el => {
+        const r = el.getBoundingClientRect();
+        if (r.width === 0 || r.height === 0) return null;
+        return { label: ${JSON.stringify(prefix)} + el.getAttribute('data-bjs-idx'), x: r.x, y: r.y, width: r.width, height: r.height };
+      }).filter(Boolean));
+    })()
+  `;
+}
+
+// Boxes of indexed elements (main document and indexed frames) in page coordinates
+async function markedBoxes(cdp) {
+  const { result } = await cdp.send("Runtime.evaluate", {
+    expression: `JSON.stringify({ x: scrollX, y: scrollY, frames: window.__bjsFrames || [] })`, returnByValue: true
+  });
+  const page = JSON.parse(result.value);
+  const shift = (boxes, dx, dy) => boxes.map(b => ({ ...b, x: b.x + dx, y: b.y + dy }));
+  const main = JSON.parse((await cdp.send("Runtime.evaluate", { expression: MARK_BOXES_JS(""), returnByValue: true })).result.value);
+  const boxes = shift(main, page.x, page.y);
+  if (page.frames.length) {
+    const frames = await collectFrames(cdp);
+    for (let f = 0; f < page.frames.length; f++) {
+      const frame = frames.find(fr => fr.frameId === page.frames[f]);
+      if (!frame) continue;
+      try {
+        const { result } = await frame.session.send("Runtime.evaluate", {
+          expression: MARK_BOXES_JS(`f${f + 1}:`), contextId: await frameContext(frame), returnByValue: true
+        });
+        const offset = await frameOffset(frame);
+        boxes.push(...shift(JSON.parse(result.value), offset.x + page.x, offset.y + page.y));
+      } catch (_) {} // frame navigated away
+    }
+  }
+  return boxes;
+}
+
+// Absolutely positioned boxes + index tags, drawn above everything and ignored by the page
+function ANNOTATE_JS(boxes) {
+  return `
+    (() => {
+      const layer = document.createElement('div');
+      layer.id = '__bjs_marks';
+      layer.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none';
+      const colors = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080'];
+      ${JSON.stringify(boxes)}.forEach((b, i) => {
+        const color = colors[i % colors.length];
+        const box = document.createElement('div');
+        box.style.cssText = 'position:absolute;box-sizing:border-box;border:2px solid ' + color +
+          ';left:' + b.x + 'px;top:' + b.y + 'px;width:' + b.width + 'px;height:' + b.height + 'px';
+        const tag = document.createElement('span');
+        tag.textContent = b.label;
+        tag.style.cssText = 'position:absolute;left:-2px;top:-16px;padding:0 3px;font:bold 11px/14px monospace;color:#fff;background:' + color;
+        if (b.y < 16) tag.style.top = '0';
+        box.appendChild(tag);
+        layer.appendChild(box);
+      });
+      document.documentElement.appendChild(layer);
+    })()
+  `;
+}
+
+// Chrome refuses textures taller than this
+const MAX_CAPTURE_HEIGHT = 16384;
+
+async function cmdScreenshot(filePath, opts = {}) {
+  let format = opts.format || (/\.jpe?g$/i.test(filePath || "") ? "jpeg" : "png");
+  if (format === "jpg") format = "jpeg";
+  if (!["png", "jpeg", "webp"].includes(format)) throw usageError("Usage: screenshot [path] [--full] [--element <index|selector>] [--annotate] [--format png|jpeg|webp] [--quality 0-100]");
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  const notes = [];
+  try {
+    const params = { format };
+    if (opts.quality !== undefined && format !== "png") params.quality = Math.max(0, Math.min(100, parseInt(opts.quality)));
+
+    if (opts.element !== undefined) {
+      const ref = String(opts.element);
+      let rect;
+      if (/^(f\d+:)?\d+$/.test(ref)) {
+        await ensureIndexed(cdp);
+        const scope = await resolveRef(cdp, ref);
+        rect = await evaluateJSON(scope, `
+          (() => {
+            const el = ${STAMPED_JS(scope.index)};
+            if (!el) return JSON.stringify({ error: 'Element [${ref}] not found. Run elements to re-index.' });
+            el.scrollIntoView({ block: 'center' });
+            const r = el.getBoundingClientRect();
+            return JSON.stringify({ x: r.x, y: r.y, width: r.width, height: r.height });
+          })()
+        `);
+        if (rect.error) throw pageError(rect.error);
+        const offset = await scope.offset();
+        rect.x += offset.x;
+        rect.y += offset.y;
+      } else {
+        const { result } = await cdp.send("Runtime.evaluate", { expression: `
+          (() => {
+${DEEP_QUERY_JS}
+            const el = deepQueryAll(document, ${JSON.stringify(ref)})[0];
+            if (!el) return JSON.stringify({ error: 'Selector not found: ' + ${JSON.stringify(ref)} });
+            el.scrollIntoView({ block: 'center' });
+            const r = el.getBoundingClientRect();
+            return JSON.stringify({ x: r.x, y: r.y, width: r.width, height: r.height });
+          })()
+        `, returnByValue: true });
+        rect = JSON.parse(result.value);
+        if (rect.error) throw pageError(rect.error);
+      }
+      if (rect.width === 0 || rect.height === 0) throw new CommandError("INVALID_TARGET", `Element ${ref} has no visible size.`);
+      const { result } = await cdp.send("Runtime.evaluate", { expression: "JSON.stringify([scrollX, scrollY])", returnByValue: true });
+      const [sx, sy] = JSON.parse(result.value);
+      params.clip = { x: rect.x + sx, y: rect.y + sy, width: rect.width, height: rect.height, scale: 1 };
+      params.captureBeyondViewport = true;
+    } else if (opts.full) {
+      const metrics = await cdp.send("Page.getLayoutMetrics");
+      const size = metrics.cssContentSize || metrics.contentSize;
+      let height = Math.ceil(size.height);
+      if (height > MAX_CAPTURE_HEIGHT) {
+        notes.push(`clipped to ${MAX_CAPTURE_HEIGHT}px of ${height}px`);
+        height = MAX_CAPTURE_HEIGHT;
+      }
+      params.clip = { x: 0, y: 0, width: Math.ceil(size.width), height, scale: 1 };
+      params.captureBeyondViewport = true;
+    }
+
+    if (opts.annotate) {
+      await ensureIndexed(cdp);
+      const boxes = await markedBoxes(cdp);
+      await cdp.send("Runtime.evaluate", { expression: ANNOTATE_JS(boxes) });
+      notes.push(`${boxes.length} elements marked`);
     }
-    if (result.value !== undefined) return typeof result.value === 'string' ? result.value : JSON.stringify(result.value, null, 2);
-    if (result.description) return result.description;
-    return result.type === 'undefined' ? '(undefined)' : JSON.stringify(result);
+    let data;
+    try {
+      ({ data } = await cdp.send("Page.captureScreenshot", params));
+    } finally {
+      if (opts.annotate) await cdp.send("Runtime.evaluate", { expression: "document.getElementById('__bjs_marks')?.remove()" });
+    }
+
+    const ext = format === "jpeg" ? "jpg" : format;
+    const outPath = filePath || `/tmp/browser_screenshot_${Date.now()}.${ext}`;
+    writeFileSync(outPath, Buffer.from(data, "base64"));
+    return new Output(`Screenshot saved: ${outPath}${notes.length ? ` (${notes.join(", ")})` : ""}`, { path: path.resolve(outPath), format, notes });
   } finally {
     cdp.close();
   }
 }
 
-async function cmdScreenshot(filePath) {
+// ── PDF ──
+
+const PAPER_SIZES = { // inches
+  letter: [8.5, 11], legal: [8.5, 14], tabloid: [11, 17], ledger: [17, 11],
+  a3: [11.69, 16.54], a4: [8.27, 11.69], a5: [5.83, 8.27]
+};
+
+// "1" (inches), "0.5in", "1cm", "10mm", "72px" → inches
+function toInches(value) {
+  const m = String(value).trim().match(/^(\d*\.?\d+)\s*(in|cm|mm|px)?$/i);
+  if (!m) throw new CommandError("BAD_ARGUMENT", `Bad length: ${value} (use e.g. 0.5in, 1cm, 10mm, 72px)`);
+  const n = parseFloat(m[1]);
+  return { in: n, cm: n / 2.54, mm: n / 25.4, px: n / 96 }[(m[2] || "in").toLowerCase()];
+}
+
+// Header/footer templates may be given inline or as a file
+function pdfTemplate(value) {
+  return existsSync(value) ? readFileSync(value, "utf8") : value;
+}
+
+async function cmdPdf(filePath, opts = {}) {
+  const paper = PAPER_SIZES[String(opts.paper || "letter").toLowerCase()];
+  if (!paper) throw new CommandError("BAD_ARGUMENT", `Unknown paper size: ${opts.paper} (${Object.keys(PAPER_SIZES).join(", ")})`);
+  const params = {
+    paperWidth: paper[0],
+    paperHeight: paper[1],
+    landscape: !!opts.landscape,
+    printBackground: !!opts.background,
+    preferCSSPageSize: !opts.paper
+  };
+  if (opts.margin !== undefined) {
+    // One value for all sides, or "top,right,bottom,left" like CSS
+    const sides = String(opts.margin).split(",").map(toInches);
+    const [top, right = top, bottom = top, left = right] = sides;
+    Object.assign(params, { marginTop: top, marginRight: right, marginBottom: bottom, marginLeft: left });
+  }
+  if (opts.header || opts.footer) {
+    params.displayHeaderFooter = true;
+    params.headerTemplate = opts.header ? pdfTemplate(opts.header) : "<span></span>";
+    params.footerTemplate = opts.footer ? pdfTemplate(opts.footer) : "<span></span>";
+  }
+  if (opts.pages) params.pageRanges = String(opts.pages);
+  if (opts.scale) params.scale = parseFloat(opts.scale);
+
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
-    const { data } = await cdp.send("Page.captureScreenshot", { format: "png" });
-    const outPath = filePath || `/tmp/browser_screenshot_${Date.now()}.png`;
+    let data;
+    try {
+      ({ data } = await cdp.send("Page.printToPDF", params));
+    } catch (err) {
+      if (/not (implemented|supported)|unsupported/i.test(err.message)) {
+        throw new CommandError("UNSUPPORTED", "This browser can't print to PDF: Page.printToPDF is only available when Chrome runs headless. Restart it with --headless=new, or use: screenshot --full");
+      }
+      if (/page range/i.test(err.message)) throw new CommandError("BAD_ARGUMENT", `Bad --pages "${opts.pages}" (use e.g. 1-3,5): ${err.message}`);
+      throw err;
+    }
+    const outPath = filePath || `/tmp/browser_page_${Date.now()}.pdf`;
     writeFileSync(outPath, Buffer.from(data, "base64"));
-    return `Screenshot saved: ${outPath}`;
+    return new Output(`PDF saved: ${outPath}`, { path: path.resolve(outPath) });
   } finally {
     cdp.close();
   }
@@ -615,10 +2068,11 @@ async function cmdScroll(direction, amount) {
       case "down": expr = `window.scrollBy(0, ${px})`; break;
       case "top": expr = `window.scrollTo(0, 0)`; break;
       case "bottom": expr = `window.scrollTo(0, document.body.scrollHeight)`; break;
-      default: return "Usage: scroll <up|down|top|bottom> [pixels]";
+      default: throw usageError("Usage: scroll <up|down|top|bottom> [pixels]");
     }
-    await cdp.send("Runtime.evaluate", { expression: expr });
-    return `Scrolled ${direction}${amount ? ` ${amount}px` : ''}`;
+    const { result } = await cdp.send("Runtime.evaluate", { expression: `${expr}; [window.scrollX, window.scrollY]`, returnByValue: true });
+    const [x, y] = result.value || [0, 0];
+    return new Output(`Scrolled ${direction}${amount ? ` ${amount}px` : ''}`, { direction, x, y });
   } finally {
     cdp.close();
   }
@@ -626,7 +2080,7 @@ async function cmdScroll(direction, amount) {
 
 async function cmdUrl() {
   const target = await getCurrentTarget();
-  return target.url;
+  return new Output(target.url, { url: target.url, title: target.title, targetId: target.id });
 }
 
 async function cmdBack() {
@@ -636,9 +2090,9 @@ async function cmdBack() {
     const { currentIndex, entries } = await cdp.send("Page.getNavigationHistory");
     if (currentIndex > 0) {
       await cdp.send("Page.navigateToHistoryEntry", { entryId: entries[currentIndex - 1].id });
-      return `Back to: ${entries[currentIndex - 1].url}`;
+      return new Output(`Back to: ${entries[currentIndex - 1].url}`, { url: entries[currentIndex - 1].url, moved: true });
     }
-    return "Already at first page in history.";
+    return new Output("Already at first page in history.", { url: entries[currentIndex]?.url ?? target.url, moved: false });
   } finally {
     cdp.close();
   }
@@ -651,9 +2105,9 @@ async function cmdForward() {
     const { currentIndex, entries } = await cdp.send("Page.getNavigationHistory");
     if (currentIndex < entries.length - 1) {
       await cdp.send("Page.navigateToHistoryEntry", { entryId: entries[currentIndex + 1].id });
-      return `Forward to: ${entries[currentIndex + 1].url}`;
+      return new Output(`Forward to: ${entries[currentIndex + 1].url}`, { url: entries[currentIndex + 1].url, moved: true });
     }
-    return "Already at last page in history.";
+    return new Output("Already at last page in history.", { url: entries[currentIndex]?.url ?? target.url, moved: false });
   } finally {
     cdp.close();
   }
@@ -664,115 +2118,500 @@ async function cmdRefresh() {
   const cdp = await connectToTarget(target.id);
   try {
     await cdp.send("Page.reload");
-    return "Refreshed.";
+    return new Output("Refreshed.", { url: target.url });
   } finally {
     cdp.close();
   }
 }
 
-async function cmdUpload(filePath, selector) {
-  if (!filePath) return "Usage: upload <file-path> [css-selector]\nDefault selector: input[type=file]";
-  const { existsSync, realpathSync } = require("fs");
-  const path = require("path");
-
-  // Resolve to absolute path
-  const absPath = path.resolve(filePath);
-  if (!existsSync(absPath)) return `File not found: ${absPath}`;
+// ── File uploads ──
+// upload fills <input type=file> (found by index, or by selector through every shadow
+// root via a pierced DOM.getDocument); drop hands the files to a drop zone as a real drag.
 
-  const target = await getCurrentTarget();
-  const cdp = await connectToTarget(target.id);
-  try {
-    await cdp.send("DOM.enable");
+// Expand "*.png" / "shots/?.jpg" style patterns; plain paths pass through untouched
+function expandGlob(pattern) {
+  if (!/[*?]/.test(pattern)) return [path.resolve(pattern)];
+  const abs = path.resolve(pattern);
+  const parts = abs.split(path.sep).filter(Boolean);
+  const toRegex = (seg) => new RegExp("^" + seg.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$");
+  let paths = [path.sep];
+  for (const [i, seg] of parts.entries()) {
+    const last = i === parts.length - 1;
+    const next = [];
+    for (const dir of paths) {
+      if (!/[*?]/.test(seg)) {
+        next.push(path.join(dir, seg));
+        continue;
+      }
+      let entries = [];
+      try { entries = readdirSync(dir, { withFileTypes: true }); } catch (_) {}
+      const re = toRegex(seg);
+      for (const e of entries) {
+        if (re.test(e.name) && !e.name.startsWith(".") && (last ? e.isFile() : e.isDirectory())) next.push(path.join(dir, e.name));
+      }
+    }
+    paths = next;
+  }
+  return paths.sort();
+}
 
-    const cssSelector = selector || 'input[type="file"]';
+function resolveFiles(patterns) {
+  const files = [];
+  for (const pattern of patterns) {
+    const matches = expandGlob(pattern);
+    if (matches.length === 0) throw new CommandError("NOT_FOUND", `No files match: ${pattern}`);
+    for (const file of matches) {
+      if (!existsSync(file)) throw new CommandError("NOT_FOUND", `File not found: ${file}`);
+      files.push(file);
+    }
+  }
+  return files;
+}
 
-    // Get the DOM node for the file input
-    const { root } = await cdp.send("DOM.getDocument");
-    const { nodeId } = await cdp.send("DOM.querySelector", {
-      nodeId: root.nodeId,
-      selector: cssSelector
-    });
+// First element matching selector in the document or any shadow root (open or closed)
+async function queryPierced(cdp, selector) {
+  const { root } = await cdp.send("DOM.getDocument", { depth: -1, pierce: true });
+  const roots = [];
+  const walk = (node) => {
+    if (node.nodeName === "#document" || node.nodeName === "#document-fragment") roots.push(node.nodeId);
+    for (const child of [...(node.shadowRoots || []), ...(node.children || [])]) walk(child);
+    if (node.contentDocument && node.contentDocument.frameId === undefined) walk(node.contentDocument);
+  };
+  walk(root);
+  for (const nodeId of roots) {
+    const { nodeId: found } = await cdp.send("DOM.querySelector", { nodeId, selector }).catch(() => ({}));
+    if (found) return found;
+  }
+  return null;
+}
 
-    if (!nodeId) return `No file input found matching: ${cssSelector}`;
+// The file input an indexed element stands for: itself, a label's control, or one inside it
+const FILE_INPUT_JS = (stamped) => `
+  (() => {
+    const el = ${stamped};
+    if (!el) return null;
+    const isFile = (n) => n && n.tagName === 'INPUT' && n.type === 'file';
+    if (isFile(el)) return el;
+    if (isFile(el.control)) return el.control;
+    return el.querySelector('input[type=file]') || (el.shadowRoot && el.shadowRoot.querySelector('input[type=file]'));
+  })()
+`;
 
-    // Set the file on the input
-    await cdp.send("DOM.setFileInputFiles", {
-      files: [absPath],
-      nodeId: nodeId
-    });
+async function cmdUpload(args) {
+  const usage = "Usage: upload <index> <files...> | upload <files...> [--selector css]";
+  const { flags, positional } = parseFlags(args, ["selector"]);
+  if (positional.length === 0) throw usageError(usage);
+  let ref = null;
+  let selector = flags.selector;
+  // "upload 3 a.png": an element index first, unless it's also a file name
+  if (/^(f\d+:)?\d+$/.test(positional[0]) && !existsSync(positional[0]) && positional.length > 1) ref = positional.shift();
+  // Legacy "upload <file> <selector>": a trailing argument that isn't a file is the selector
+  else if (!selector && positional.length > 1 && !/[*?]/.test(positional[positional.length - 1]) && !existsSync(positional[positional.length - 1])) {
+    selector = positional.pop();
+  }
+  const files = resolveFiles(positional);
 
-    return `Uploaded: ${path.basename(absPath)} → ${cssSelector}`;
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    await cdp.send("DOM.enable");
+    let where;
+    if (ref !== null) {
+      await ensureIndexed(cdp);
+      const scope = await resolveRef(cdp, ref);
+      if (scope.index === null) throw usageError(usage);
+      if (scope.frame) await scope.session.send("DOM.enable");
+      const { result } = await scope.session.send("Runtime.evaluate", { expression: FILE_INPUT_JS(STAMPED_JS(scope.index)), contextId: scope.contextId });
+      if (!result.objectId) throw new CommandError("INVALID_TARGET", `Element [${ref}] is not a file input and has none inside. For drop zones use: drop ${ref} <files...>`);
+      await scope.session.send("DOM.setFileInputFiles", { files, objectId: result.objectId });
+      where = { index: refValue(ref) };
+    } else {
+      const css = selector || 'input[type="file"]';
+      const nodeId = await queryPierced(cdp, css);
+      if (!nodeId) throw new CommandError("NOT_FOUND", `No file input found matching: ${css}`);
+      await cdp.send("DOM.setFileInputFiles", { files, nodeId });
+      where = { selector: css };
+    }
+    const names = files.map(f => path.basename(f));
+    const to = where.selector ?? `[${ref}]`;
+    return new Output(`Uploaded: ${names.length > 5 ? `${names.length} files` : names.join(", ")} → ${to}`, { files, ...where });
   } finally {
     cdp.close();
   }
 }
 
+async function cmdDrop(index, patterns) {
+  if (index === undefined || patterns.length === 0) throw usageError("Usage: drop <index> <files...>");
+  const files = resolveFiles(patterns);
+  return withElement(index, async (cdp, scope) => {
+    const info = await evaluateJSON(scope, `
+      (() => {
+        const el = ${STAMPED_JS(scope.index)};
+        if (!el) return JSON.stringify({ error: 'Element [${index}] not found. Run elements to re-index.' });
+        el.scrollIntoView({ block: 'center' });
+        const r = el.getBoundingClientRect();
+        const desc = (el.getAttribute('aria-label') || el.textContent || '').trim().replace(/\\s+/g, ' ').slice(0, 60);
+        return JSON.stringify({ x: r.x + r.width / 2, y: r.y + r.height / 2, tag: el.tagName.toLowerCase(), desc });
+      })()
+    `);
+    if (info.error) throw pageError(info.error);
+    const offset = await scope.offset();
+    const at = { x: info.x + offset.x, y: info.y + offset.y };
+    const data = { items: [], files, dragOperationsMask: 1 }; // 1 = copy
+    const effect = await observeEffects(cdp, async () => {
+      for (const type of ["dragEnter", "dragOver", "drop"]) {
+        await cdp.send("Input.dispatchDragEvent", { type, ...at, data });
+      }
+    });
+    return new Output(`Dropped ${files.length} file${files.length === 1 ? "" : "s"} on [${index}] (${info.tag}) ${info.desc}${effect}`, {
+      index: refValue(index), tag: info.tag, desc: info.desc, files, effect: effect.slice(3)
+    });
+  });
+}
+
 async function cmdWait(ms) {
   const duration = parseInt(ms) || 1000;
   await new Promise(r => setTimeout(r, duration));
-  return `Waited ${duration}ms`;
+  return new Output(`Waited ${duration}ms`, { ms: duration });
+}
+
+// Page-side probe for wait-for conditions; returns a number (matches) or boolean (text found)
+function WAIT_JS(kind, value) {
+  return `
+    (() => {
+${DEEP_QUERY_JS}
+      const value = ${JSON.stringify(value)};
+      if (${JSON.stringify(kind)} === 'text') {
+        // innerText skips hidden nodes; shadow roots need their own walk
+        if ((document.body?.innerText || '').includes(value)) return true;
+        return deepQueryAll(document, '*').some(el => el.shadowRoot && el.shadowRoot.textContent.includes(value));
+      }
+      return deepQueryAll(document, value)
+        .filter(el => el.offsetParent !== null || getComputedStyle(el).position === 'fixed').length;
+    })()
+  `;
 }
 
-// ── Coordinate-based input (for cross-origin iframes, captchas, etc.) ──
+const WAIT_KINDS = ["selector", "text", "url", "gone", "idle"];
 
-async function cmdClickXY(x, y, opts = {}) {
-  if (x === undefined || y === undefined) return "Usage: click-xy <x> <y> [--double] [--right]";
-  const px = parseFloat(x), py = parseFloat(y);
-  if (isNaN(px) || isNaN(py)) return "Error: x and y must be numbers";
+async function cmdWaitFor(kind, value, opts = {}) {
+  if (!WAIT_KINDS.includes(kind) || (kind !== "idle" && !value))
+    throw usageError("Usage: wait-for <selector|gone> <css> [--count N] | text <string> | url <pattern> | idle [ms]  [--timeout ms]");
+  const timeout = parseInt(opts.timeout) || 10000;
+  const count = parseInt(opts.count) || 1;
+  const started = Date.now();
+  const elapsed = () => `${((Date.now() - started) / 1000).toFixed(1)}s`;
+  const done = (text, data) => new Output(`${text} after ${elapsed()}`, { kind, value, ...data, elapsed: Date.now() - started });
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
-  try {
-    const button = opts.right ? "right" : "left";
-    const clickCount = opts.double ? 2 : 1;
 
-    // Move mouse first (triggers hover states, reveals tooltips)
-    await cdp.send("Input.dispatchMouseEvent", { type: "mouseMoved", x: px, y: py });
-    await new Promise(r => setTimeout(r, 50));
+  if (kind === "idle") {
+    // No requests in flight for quietMs (long-lived streams don't count)
+    const quietMs = parseInt(value) || 500;
+    const inflight = new Set();
+    let lastActivity = Date.now();
+    const onStart = (p) => {
+      if (p.type === "EventSource") return;
+      inflight.add(p.requestId);
+      lastActivity = Date.now();
+    };
+    const onEnd = (p) => {
+      if (inflight.delete(p.requestId)) lastActivity = Date.now();
+    };
+    cdp.on("Network.requestWillBeSent", onStart);
+    cdp.on("Network.loadingFinished", onEnd);
+    cdp.on("Network.loadingFailed", onEnd);
+    try {
+      await cdp.send("Network.enable");
+      while (inflight.size > 0 || Date.now() - lastActivity < quietMs) {
+        if (Date.now() - started > timeout)
+          throw new CommandError("TIMEOUT", `Timed out after ${timeout}ms waiting for network idle (${inflight.size} requests in flight)`);
+        await new Promise(r => setTimeout(r, 50));
+      }
+      return done(`Network idle (${quietMs}ms)`, { value: quietMs });
+    } finally {
+      cdp.off("Network.requestWillBeSent", onStart);
+      cdp.off("Network.loadingFinished", onEnd);
+      cdp.off("Network.loadingFailed", onEnd);
+      cdp.close();
+    }
+  }
 
-    // Press + release
-    await cdp.send("Input.dispatchMouseEvent", {
-      type: "mousePressed", x: px, y: py, button, clickCount
-    });
-    await cdp.send("Input.dispatchMouseEvent", {
-      type: "mouseReleased", x: px, y: py, button, clickCount
-    });
+  const expression = kind === "url" ? "location.href" : WAIT_JS(kind === "text" ? "text" : "selector", value);
+  const check = {
+    selector: (v) => v >= count,
+    gone: (v) => v === 0,
+    text: (v) => v === true,
+    url: (v) => urlMatches(v, value)
+  }[kind];
+  const describe = {
+    selector: `${count > 1 ? count + " × " : ""}"${value}"`,
+    gone: `"${value}" to disappear`,
+    text: `text "${value}"`,
+    url: `URL matching "${value}"`
+  }[kind];
 
-    if (opts.double) {
-      // Second click for double-click
-      await cdp.send("Input.dispatchMouseEvent", {
-        type: "mousePressed", x: px, y: py, button, clickCount: 2
-      });
-      await cdp.send("Input.dispatchMouseEvent", {
-        type: "mouseReleased", x: px, y: py, button, clickCount: 2
+  try {
+    // deepQueryAll swallows syntax errors — a bad selector would count as "gone" at once
+    if (kind === "selector" || kind === "gone") {
+      const { result } = await cdp.send("Runtime.evaluate", {
+        expression: `(() => { try { document.createDocumentFragment().querySelector(${JSON.stringify(value)}); return true; } catch (e) { return false; } })()`,
+        returnByValue: true
       });
+      if (result.value === false) throw new CommandError("BAD_ARGUMENT", `Invalid CSS selector: ${value}`);
+    }
+    let last;
+    for (;;) {
+      try {
+        const { result } = await cdp.send("Runtime.evaluate", { expression, returnByValue: true });
+        last = result.value;
+      } catch (_) {
+        last = undefined; // context destroyed mid-navigation — try again
+      }
+      if (last !== undefined && check(last)) break;
+      if (Date.now() - started > timeout) throw new CommandError("TIMEOUT", `Timed out after ${timeout}ms waiting for ${describe}`);
+      await new Promise(r => setTimeout(r, 100));
+    }
+    switch (kind) {
+      case "selector": return done(`Found ${last} × "${value}"`, { matched: last });
+      case "gone": return done(`"${value}" gone`, { matched: 0 });
+      case "text": return done(`Text "${value}" appeared`, { matched: true });
+      case "url": return done(`URL is ${last}`, { matched: last });
     }
-
-    const label = opts.double ? "Double-clicked" : opts.right ? "Right-clicked" : "Clicked";
-    return `${label} at (${px}, ${py})`;
   } finally {
     cdp.close();
   }
 }
 
-async function cmdHoverXY(x, y) {
-  if (x === undefined || y === undefined) return "Usage: hover-xy <x> <y>";
-  const px = parseFloat(x), py = parseFloat(y);
-  if (isNaN(px) || isNaN(py)) return "Error: x and y must be numbers";
-  const target = await getCurrentTarget();
-  const cdp = await connectToTarget(target.id);
-  try {
-    await cdp.send("Input.dispatchMouseEvent", { type: "mouseMoved", x: px, y: py });
-    return `Hovered at (${px}, ${py})`;
-  } finally {
-    cdp.close();
-  }
+// ── Tables ──
+// Data tables and ARIA grids, expanded into a plain matrix (colspan/rowspan repeated
+// into every cell they cover). Layout tables are skipped.
+
+const TABLES_JS = `
+${DEEP_QUERY_JS}
+      const clean = (s) => (s || '').replace(/\\s+/g, ' ').trim();
+      const isGrid = (el) => el.tagName !== 'TABLE' || ['grid', 'treegrid', 'table'].includes(el.getAttribute('role'));
+      const CELL_ROLES = ['cell', 'gridcell', 'columnheader', 'rowheader'];
+
+      function findTables() {
+        const seen = new Set();
+        return deepQueryAll(document, 'table, [role=grid], [role=treegrid], [role=table]').filter(el => {
+          if (seen.has(el)) return false;
+          seen.add(el);
+          if (['presentation', 'none'].includes(el.getAttribute('role'))) return false;
+          if (el.offsetParent === null && getComputedStyle(el).position !== 'fixed') return false;
+          const rows = tableRows(el);
+          if (el.tagName === 'TABLE' && !isGrid(el)) {
+            // Layout tables: no headers or caption and wrapping other tables, or a single row/column
+            const headed = [...el.querySelectorAll('th, thead, caption')].some(n => n.closest('table') === el);
+            if (!headed && (el.querySelector('table') || rows.length < 2 || Math.max(...rows.map(r => r.cells.length)) < 2)) return false;
+          }
+          return rows.length > 0;
+        });
+      }
+
+      // [{ cells: [{ text, header, colspan, rowspan }] }] for both <table> and ARIA grids
+      function tableRows(el) {
+        if (el.tagName !== 'TABLE') return ariaRows(el);
+        // A <table role=grid> usually keeps plain <tr>/<td>; only use ARIA rows when it really has them
+        const aria = isGrid(el) ? ariaRows(el) : [];
+        if (aria.length) return aria;
+        return [...el.rows].map(tr => ({
+          head: tr.parentElement.tagName === 'THEAD',
+          cells: [...tr.cells].map(c => ({ text: clean(c.innerText ?? c.textContent), header: c.tagName === 'TH', colspan: c.colSpan || 1, rowspan: c.rowSpan || 1 }))
+        }));
+      }
+
+      function ariaRows(el) {
+        const owner = (node, role) => { for (let n = node.parentElement; n; n = n.parentElement) if (n.matches(role)) return n; return null; };
+        return deepQueryAll(el, '[role=row]').filter(r => owner(r, '[role=grid], [role=treegrid], [role=table], table') === el).map(r => ({
+          head: false,
+          cells: deepQueryAll(r, CELL_ROLES.map(role => '[role=' + role + ']').join(', ')).filter(c => owner(c, '[role=row]') === r).map(c => ({
+            text: clean(c.innerText ?? c.textContent),
+            header: c.getAttribute('role') === 'columnheader',
+            colspan: +c.getAttribute('aria-colspan') || 1,
+            rowspan: +c.getAttribute('aria-rowspan') || 1
+          }))
+        }));
+      }
+
+      // Place cells on a grid so spans fill every slot they cover
+      function toMatrix(rows) {
+        const matrix = [];
+        const headers = [];
+        rows.forEach((row, r) => {
+          matrix[r] = matrix[r] || [];
+          let c = 0;
+          for (const cell of row.cells) {
+            while (matrix[r][c] !== undefined) c++;
+            for (let dr = 0; dr < Math.min(cell.rowspan, rows.length - r); dr++) {
+              matrix[r + dr] = matrix[r + dr] || [];
+              for (let dc = 0; dc < Math.min(cell.colspan, 1000); dc++) matrix[r + dr][c + dc] = cell.text;
+            }
+            c += cell.colspan;
+          }
+          headers[r] = row.head || (row.cells.length > 0 && row.cells.every(cell => cell.header));
+        });
+        const width = Math.max(0, ...matrix.map(row => row.length));
+        const grid = matrix.map(row => Array.from({ length: width }, (_, i) => row[i] ?? ''));
+        let headerRows = 0;
+        while (headerRows < grid.length - 1 && headers[headerRows]) headerRows++;
+        return { header: grid.slice(0, headerRows), body: grid.slice(headerRows) };
+      }
+
+      function describe(el) {
+        const caption = el.tagName === 'TABLE' && el.caption ? clean(el.caption.textContent) : '';
+        return caption || clean(el.getAttribute('aria-label')) || (el.id ? '#' + el.id : '');
+      }
+`;
+
+function TABLE_LIST_JS() {
+  return `
+    (() => {
+${TABLES_JS}
+      return JSON.stringify(findTables().map(el => {
+        const { header, body } = toMatrix(tableRows(el));
+        const columns = header.length ? header[header.length - 1] : [];
+        return { name: describe(el), grid: isGrid(el), rows: body.length, cols: (header[0] || body[0] || []).length, columns };
+      }));
+    })()
+  `;
+}
+
+function TABLE_JS(ref) {
+  return `
+    (() => {
+${TABLES_JS}
+      const ref = ${JSON.stringify(ref)};
+      let el;
+      if (/^\\d+$/.test(ref)) {
+        el = findTables()[ref - 1];
+        if (!el) return JSON.stringify({ error: 'No table ' + ref + '. Run: tables' });
+      } else {
+        el = deepQueryAll(document, ref)[0];
+        if (!el) return JSON.stringify({ error: 'Selector not found: ' + ref });
+        if (!el.matches('table, [role=grid], [role=treegrid], [role=table]')) el = deepQueryAll(el, 'table, [role=grid], [role=treegrid], [role=table]')[0];
+        if (!el) return JSON.stringify({ error: 'No table inside ' + ref });
+      }
+      return JSON.stringify(toMatrix(tableRows(el)));
+    })()
+  `;
+}
+
+function csvCell(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// JSON rows keyed by column name; stacked header rows are joined ("Q1 / Sales")
+function tableObjects({ header, body }) {
+  if (header.length === 0) return body;
+  const names = header[0].map((_, i) => {
+    const parts = header.map(row => row[i]).filter((part, j, all) => part && part !== all[j - 1]);
+    return parts.join(" / ") || `Column ${i + 1}`;
+  });
+  const keys = names.map((name, i) => names.indexOf(name) === i ? name : `${name} ${names.slice(0, i + 1).filter(n => n === name).length}`);
+  return body.map(row => Object.fromEntries(keys.map((key, i) => [key, row[i]])));
+}
+
+async function cmdTables() {
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    const { result } = await cdp.send("Runtime.evaluate", { expression: TABLE_LIST_JS(), returnByValue: true });
+    const tables = JSON.parse(result.value).map((t, i) => ({ index: i + 1, ...t }));
+    if (tables.length === 0) return new Output("No data tables found.", { tables });
+    return new Output(tables.map((t, i) => {
+      const kind = t.grid ? "grid" : "table";
+      const columns = t.columns.filter(Boolean).join(", ");
+      const preview = columns.length > 100 ? columns.slice(0, 97) + "..." : columns;
+      const size = `${t.rows} row${t.rows === 1 ? "" : "s"} × ${t.cols} col${t.cols === 1 ? "" : "s"}`;
+      return `[${i + 1}] ${kind}${t.name ? ` "${t.name}"` : ""}: ${size}${preview ? ` — ${preview}` : " (no header row)"}`;
+    }).join("\n"), { tables });
+  } finally {
+    cdp.close();
+  }
+}
+
+async function cmdTable(ref, opts = {}) {
+  if (!ref) throw usageError("Usage: table <n|selector> [--csv|--json] [--out file]");
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  let table;
+  try {
+    const { result } = await cdp.send("Runtime.evaluate", { expression: TABLE_JS(String(ref)), returnByValue: true });
+    table = JSON.parse(result.value);
+  } finally {
+    cdp.close();
+  }
+  if (table.error) throw pageError(table.error);
+
+  const format = opts.json ? "json" : opts.csv ? "csv" : opts.out ? (/\.json$/i.test(opts.out) ? "json" : "csv") : "text";
+  let output;
+  if (format === "json") {
+    output = JSON.stringify(tableObjects(table), null, 2);
+  } else if (format === "csv") {
+    output = [...table.header, ...table.body].map(row => row.map(csvCell).join(",")).join("\n");
+  } else {
+    const line = (row) => "| " + row.map(v => v.replace(/\|/g, "\\|")).join(" | ") + " |";
+    const header = table.header.length ? table.header[table.header.length - 1] : null;
+    const width = (header || table.body[0] || []).length;
+    output = [header && line(header), header && "|" + " --- |".repeat(width), ...table.body.map(line)].filter(Boolean).join("\n");
+  }
+  if (!opts.out) return new Output(output || "(empty table)", { header: table.header, body: table.body });
+  writeFileSync(opts.out, output + "\n");
+  return new Output(`Saved ${table.body.length} rows to ${opts.out} (${format})`, { path: path.resolve(opts.out), rows: table.body.length, format });
+}
+
+// ── Coordinate-based input (for captchas, canvas, overlays, etc.) ──
+
+async function cmdClickXY(x, y, opts = {}) {
+  if (x === undefined || y === undefined) throw usageError("Usage: click-xy <x> <y> [--double] [--right]");
+  const px = parseFloat(x), py = parseFloat(y);
+  if (isNaN(px) || isNaN(py)) throw new CommandError("BAD_ARGUMENT", "x and y must be numbers");
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    const button = opts.right ? "right" : "left";
+    const clickCount = opts.double ? 2 : 1;
+
+    // Move mouse first (triggers hover states, reveals tooltips)
+    await cdp.send("Input.dispatchMouseEvent", { type: "mouseMoved", x: px, y: py });
+    await new Promise(r => setTimeout(r, 50));
+
+    // Press + release (a tap under touch emulation)
+    await pointerClick(cdp, px, py, { button, clickCount });
+
+    if (opts.double) {
+      // Second click for double-click
+      await pointerClick(cdp, px, py, { button, clickCount: 2 });
+    }
+
+    const label = opts.double ? "Double-clicked" : opts.right ? "Right-clicked" : "Clicked";
+    return new Output(`${label} at (${px}, ${py})`, { x: px, y: py, button, double: !!opts.double });
+  } finally {
+    cdp.close();
+  }
+}
+
+async function cmdHoverXY(x, y) {
+  if (x === undefined || y === undefined) throw usageError("Usage: hover-xy <x> <y>");
+  const px = parseFloat(x), py = parseFloat(y);
+  if (isNaN(px) || isNaN(py)) throw new CommandError("BAD_ARGUMENT", "x and y must be numbers");
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    await cdp.send("Input.dispatchMouseEvent", { type: "mouseMoved", x: px, y: py });
+    return new Output(`Hovered at (${px}, ${py})`, { x: px, y: py });
+  } finally {
+    cdp.close();
+  }
 }
 
 async function cmdDragXY(x1, y1, x2, y2) {
   if (x1 === undefined || y1 === undefined || x2 === undefined || y2 === undefined)
-    return "Usage: drag-xy <fromX> <fromY> <toX> <toY>";
+    throw usageError("Usage: drag-xy <fromX> <fromY> <toX> <toY>");
   const sx = parseFloat(x1), sy = parseFloat(y1), ex = parseFloat(x2), ey = parseFloat(y2);
-  if ([sx, sy, ex, ey].some(isNaN)) return "Error: all coordinates must be numbers";
+  if ([sx, sy, ex, ey].some(isNaN)) throw new CommandError("BAD_ARGUMENT", "all coordinates must be numbers");
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
@@ -796,14 +2635,14 @@ async function cmdDragXY(x1, y1, x2, y2) {
     await cdp.send("Input.dispatchMouseEvent", {
       type: "mouseReleased", x: ex, y: ey, button: "left", clickCount: 1
     });
-    return `Dragged from (${sx}, ${sy}) to (${ex}, ${ey})`;
+    return new Output(`Dragged from (${sx}, ${sy}) to (${ex}, ${ey})`, { from: { x: sx, y: sy }, to: { x: ex, y: ey } });
   } finally {
     cdp.close();
   }
 }
 
 async function cmdIframeRect(selector) {
-  if (!selector) return "Usage: iframe-rect <css-selector>\nReturns bounding box of an iframe for use with click-xy";
+  if (!selector) throw usageError("Usage: iframe-rect <css-selector>\nReturns bounding box of an iframe for use with click-xy");
   const target = await getCurrentTarget();
   const cdp = await connectToTarget(target.id);
   try {
@@ -819,15 +2658,1177 @@ async function cmdIframeRect(selector) {
       `,
       returnByValue: true
     });
-    if (exceptionDetails) return `Error: ${exceptionDetails.text}`;
+    if (exceptionDetails) throw new CommandError("JS_ERROR", exceptionDetails.text);
     const info = JSON.parse(result.value);
-    if (info.error) return info.error;
-    return `x=${info.x} y=${info.y} w=${info.width} h=${info.height} center=(${info.cx}, ${info.cy})`;
+    if (info.error) throw pageError(info.error);
+    return new Output(`x=${info.x} y=${info.y} w=${info.width} h=${info.height} center=(${info.cx}, ${info.cy})`, {
+      x: info.x, y: info.y, width: info.width, height: info.height, center: { x: info.cx, y: info.cy }
+    });
+  } finally {
+    cdp.close();
+  }
+}
+
+// ── Event buffer (daemon) ──
+
+function summarizeEvent({ method, params }) {
+  switch (method) {
+    case "Page.frameNavigated": return params.frame.parentId ? "" : params.frame.url;
+    case "Page.javascriptDialogOpening": return `${params.type}: ${params.message}`;
+    case "Runtime.consoleAPICalled":
+      return `${params.type}: ${params.args.map(a => a.value ?? a.description ?? a.type).join(" ")}`;
+    case "Runtime.exceptionThrown":
+      return (params.exceptionDetails.exception?.description || params.exceptionDetails.text).split("\n")[0];
+    case "Log.entryAdded": return `${params.entry.level}: ${params.entry.text}`;
+    case "Network.requestWillBeSent": return `${params.request.method} ${params.request.url}`;
+    case "Network.responseReceived": return `${params.response.status} ${params.response.url}`;
+    default: return "";
+  }
+}
+
+async function cmdEvents(count) {
+  const { pool } = current();
+  if (!pool) throw new CommandError("UNSUPPORTED", "No event buffer — events are only recorded while the daemon runs. Start it with: daemon start");
+  const target = await getCurrentTarget();
+  await connectToTarget(target.id); // attaching starts buffering for this tab
+  const events = pool.events.get(target.id) || [];
+  if (events.length === 0) return new Output("No events buffered for this tab yet.", { events: [] });
+  const recent = events.slice(-(parseInt(count) || 20)).map(e => ({ time: e.time, method: e.method, detail: summarizeEvent(e) }));
+  return new Output(recent.map(e => {
+    const line = `${new Date(e.time).toISOString().slice(11, 23)} ${e.method}${e.detail ? " " + e.detail : ""}`;
+    return line.length > 200 ? line.slice(0, 197) + "..." : line;
+  }).join("\n"), { events: recent });
+}
+
+// ── Network log ──
+// Built from the Network events a pooled session sees (daemon, or the span of a run script).
+// Entries keep their index when older ones are dropped, so "network body 12" stays valid.
+
+const NETWORK_LOG_SIZE = 500;
+
+class NetworkLog {
+  constructor() {
+    this.entries = [];
+    this.byId = new Map(); // requestId -> live entry
+    this.nextIndex = 0;
+  }
+
+  handle(method, p) {
+    let entry = this.byId.get(p.requestId);
+    switch (method) {
+      case "Network.requestWillBeSent":
+        if (entry && p.redirectResponse) this.finish(entry, p.redirectResponse, p.timestamp);
+        entry = {
+          index: this.nextIndex++,
+          requestId: p.requestId,
+          method: p.request.method,
+          url: p.request.url,
+          type: (p.type || "other").toLowerCase(),
+          requestHeaders: p.request.headers,
+          postData: p.request.postData,
+          wallTime: p.wallTime * 1000,
+          start: p.timestamp
+        };
+        this.byId.set(p.requestId, entry);
+        this.entries.push(entry);
+        if (this.entries.length > NETWORK_LOG_SIZE) this.drop(this.entries.shift());
+        break;
+      case "Network.responseReceived":
+        if (entry) entry.response = p.response;
+        break;
+      case "Network.loadingFinished":
+        if (entry) {
+          entry.end = p.timestamp;
+          entry.size = p.encodedDataLength;
+          this.byId.delete(p.requestId);
+        }
+        break;
+      case "Network.loadingFailed":
+        if (entry) {
+          entry.end = p.timestamp;
+          entry.error = p.blockedReason ? `blocked: ${p.blockedReason}` : p.errorText;
+          this.byId.delete(p.requestId);
+        }
+        break;
+    }
+  }
+
+  // A redirect ends the previous hop of the same requestId
+  finish(entry, response, timestamp) {
+    entry.response = response;
+    entry.end = timestamp;
+    entry.size = response.encodedDataLength;
+    entry.redirected = true;
+  }
+
+  // Forget an evicted entry, unless its requestId has moved on to a newer hop
+  drop(entry) {
+    if (this.byId.get(entry.requestId) === entry) this.byId.delete(entry.requestId);
+  }
+
+  clear() {
+    const cleared = this.entries.length;
+    this.entries = [];
+    this.byId.clear();
+    return cleared;
+  }
+
+  get(index) {
+    return this.entries.find(e => e.index === index);
+  }
+}
+
+function formatBytes(n) {
+  if (n === undefined) return "?";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatRequest(e) {
+  const status = e.error ? "ERR" : e.response ? e.response.status : "...";
+  let tail;
+  if (e.error) tail = e.error;
+  else if (e.end === undefined) tail = "pending";
+  else tail = `${formatBytes(e.size)}, ${Math.round((e.end - e.start) * 1000)} ms`;
+  const url = e.url.length > 120 ? e.url.slice(0, 117) + "..." : e.url;
+  return `[${e.index}] ${e.method} ${status} ${e.type} ${url} (${tail})`;
+}
+
+async function networkLog() {
+  const { pool } = current();
+  if (!pool) throw new CommandError("UNSUPPORTED", "No network recording — start the daemon (daemon start) or run the commands inside a run script");
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id); // attaching starts recording for this tab
+  return { cdp, log: pool.network.get(target.id) };
+}
+
+function harHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split("\n").map(v => ({ name, value: v })));
+}
+
+function harEntry(e) {
+  const res = e.response;
+  const url = new URL(e.url);
+  const total = e.end !== undefined ? (e.end - e.start) * 1000 : -1;
+  const t = res?.timing;
+  // Split the total into HAR phases from the response timing (ms offsets from requestTime)
+  const ms = (n) => Math.round(n * 1000) / 1000;
+  const span = (a, b) => (t && t[a] >= 0 && t[b] >= 0 ? ms(t[b] - t[a]) : -1);
+  const wait = t ? Math.max(0, t.receiveHeadersEnd - t.sendEnd) : Math.max(0, total);
+  const receive = t && total >= 0 ? Math.max(0, total - t.receiveHeadersEnd) : 0;
+  const protocol = (res?.protocol || "http/1.1").toLowerCase();
+  const httpVersion = protocol === "h2" ? "HTTP/2.0" : protocol === "h3" ? "HTTP/3.0" : protocol.toUpperCase();
+  const entry = {
+    startedDateTime: new Date(e.wallTime).toISOString(),
+    time: ms(Math.max(0, total)),
+    request: {
+      method: e.method,
+      url: e.url,
+      httpVersion,
+      cookies: [],
+      headers: harHeaders(e.requestHeaders),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: e.postData ? Buffer.byteLength(e.postData) : 0
+    },
+    response: {
+      status: res?.status || 0,
+      statusText: res?.statusText || e.error || "",
+      httpVersion,
+      cookies: [],
+      headers: harHeaders(res?.headers),
+      content: { size: e.size ?? 0, mimeType: res?.mimeType || "" },
+      redirectURL: res?.headers?.location || res?.headers?.Location || "",
+      headersSize: -1,
+      bodySize: e.size ?? -1
+    },
+    cache: {},
+    timings: {
+      blocked: t && t.dnsStart >= 0 ? ms(t.dnsStart) : -1,
+      dns: span("dnsStart", "dnsEnd"),
+      connect: span("connectStart", "connectEnd"),
+      ssl: span("sslStart", "sslEnd"),
+      send: Math.max(0, span("sendStart", "sendEnd")),
+      wait: ms(wait),
+      receive: ms(receive)
+    },
+    _resourceType: e.type
+  };
+  if (e.postData) {
+    const type = Object.entries(e.requestHeaders || {}).find(([k]) => k.toLowerCase() === "content-type");
+    entry.request.postData = { mimeType: type ? type[1] : "", text: e.postData };
+  }
+  if (res?.remoteIPAddress) entry.serverIPAddress = res.remoteIPAddress;
+  return entry;
+}
+
+async function cmdNetwork(action, arg, opts = {}) {
+  const { cdp, log } = await networkLog();
+  try {
+    if (action === "clear") {
+      const cleared = log.clear();
+      return new Output("Network log cleared.", { cleared });
+    }
+    if (action === "body") {
+      const entry = log.get(parseInt(arg));
+      if (!entry) throw new CommandError("NOT_FOUND", `No request [${arg}] in the log. Run: network`);
+      const { body, base64Encoded } = await cdp.send("Network.getResponseBody", { requestId: entry.requestId })
+        .catch(() => { throw new CommandError("NOT_FOUND", `Body of [${arg}] is not available (still loading, redirected, or evicted by a navigation)`); });
+      const mimeType = entry.response?.mimeType || null;
+      if (base64Encoded) {
+        const size = Buffer.from(body, "base64").length;
+        return new Output(`(binary, ${formatBytes(size)}, ${mimeType || "unknown type"})`, { index: entry.index, mimeType, binary: true, size });
+      }
+      const truncated = body.length > 10000;
+      const text = truncated ? body.slice(0, 10000) + "... (truncated)" : body;
+      return new Output(text, { index: entry.index, mimeType, binary: false, body: truncated ? body.slice(0, 10000) : body, truncated });
+    }
+    if (action === "export") {
+      if (!arg) throw usageError("Usage: network export <file.har>");
+      const har = {
+        log: {
+          version: "1.2",
+          creator: { name: "browser-js", version: require("./package.json").version },
+          pages: [],
+          entries: log.entries.map(harEntry)
+        }
+      };
+      writeFileSync(arg, JSON.stringify(har, null, 2));
+      return new Output(`HAR saved: ${arg} (${har.log.entries.length} requests)`, { path: path.resolve(arg), requests: har.log.entries.length });
+    }
+
+    // List, optionally filtered by URL pattern and resource type
+    const types = opts.type ? String(opts.type).toLowerCase().split(",") : null;
+    let entries = log.entries.filter(e =>
+      (!action || urlMatches(e.url, action)) && (!types || types.includes(e.type)));
+    if (entries.length === 0) return new Output(log.entries.length ? "No requests match." : "No requests recorded yet.", { requests: [] });
+    const limit = parseInt(opts.limit) || 50;
+    const hidden = entries.length - limit;
+    if (hidden > 0) entries = entries.slice(-limit);
+    const requests = entries.map(e => ({
+      index: e.index, method: e.method, url: e.url, type: e.type, status: e.response?.status ?? null,
+      error: e.error || null, size: e.size ?? null, ms: e.end === undefined ? null : Math.round((e.end - e.start) * 1000)
+    }));
+    const text = (hidden > 0 ? `(${hidden} earlier requests not shown, use --limit)\n` : "") + entries.map(formatRequest).join("\n");
+    return new Output(text, { requests, hidden: Math.max(hidden, 0) });
+  } finally {
+    cdp.close();
+  }
+}
+
+// ── Console ──
+// console.* calls, uncaught exceptions and browser log entries, one line each.
+// Runtime.enable / Log.enable replay what the page logged before we attached.
+
+const CONSOLE_LOG_SIZE = 500;
+const CONSOLE_LEVELS = { error: ["error"], warn: ["error", "warn"], all: null };
+
+function formatRemoteObject(o) {
+  if (o.type === "string") return o.value;
+  if (o.unserializableValue) return o.unserializableValue;
+  if (o.type === "undefined") return "undefined";
+  if (o.value !== undefined) return JSON.stringify(o.value);
+  if (o.preview && o.subtype !== "error") {
+    const props = o.preview.properties.map(p =>
+      o.preview.subtype === "array" ? p.value : `${p.name}: ${p.type === "string" ? JSON.stringify(p.value) : p.value}`);
+    const body = props.join(", ") + (o.preview.overflow ? ", …" : "");
+    return o.preview.subtype === "array" ? `[${body}]` : `{${body}}`;
+  }
+  return o.description || o.type;
+}
+
+// Applies printf-style substitutions (%s %d %o %c ...) the way the DevTools console does
+function formatConsoleArgs(args) {
+  const rest = [...args];
+  let text = "";
+  if (rest[0]?.type === "string" && rest[0].value.includes("%")) {
+    text = rest.shift().value.replace(/%([sdifoOc%])/g, (m, spec) => {
+      if (spec === "%") return "%";
+      if (!rest.length) return m;
+      const arg = rest.shift();
+      if (spec === "c") return "";
+      if (spec === "d" || spec === "i") return String(parseInt(arg.value ?? arg.description));
+      return formatRemoteObject(arg);
+    });
+  }
+  return [text, ...rest.map(formatRemoteObject)].filter(Boolean).join(" ");
+}
+
+function sourceLocation(url, line, column) {
+  if (!url) return "";
+  let file = url;
+  try { file = new URL(url).pathname.split("/").pop() || url; } catch (_) {}
+  return line === undefined ? file : `${file}:${line + 1}:${(column || 0) + 1}`;
+}
+
+function consoleEntry(method, p) {
+  switch (method) {
+    case "Runtime.consoleAPICalled": {
+      const level = { error: "error", assert: "error", warning: "warn", info: "info", debug: "debug" }[p.type] || "log";
+      const frame = p.stackTrace?.callFrames[0];
+      return {
+        time: p.timestamp, level,
+        text: formatConsoleArgs(p.args),
+        location: frame ? sourceLocation(frame.url, frame.lineNumber, frame.columnNumber) : ""
+      };
+    }
+    case "Runtime.exceptionThrown": {
+      const d = p.exceptionDetails;
+      const exception = d.exception ? (d.exception.description || formatRemoteObject(d.exception)).split("\n")[0] : "";
+      const frame = d.stackTrace?.callFrames[0];
+      return {
+        time: p.timestamp, level: "error",
+        text: exception && !d.text.includes(exception) ? `${d.text} ${exception}` : d.text,
+        location: d.url ? sourceLocation(d.url, d.lineNumber, d.columnNumber)
+          : frame ? sourceLocation(frame.url, frame.lineNumber, frame.columnNumber) : ""
+      };
+    }
+    case "Log.entryAdded": {
+      const e = p.entry;
+      return {
+        time: e.timestamp, level: { warning: "warn", verbose: "debug" }[e.level] || e.level,
+        text: e.text,
+        location: sourceLocation(e.url, e.lineNumber)
+      };
+    }
+    default: return null;
+  }
+}
+
+function formatConsoleEntry(e) {
+  let text = e.text.replace(/\s+/g, " ").trim();
+  if (text.length > 300) text = text.slice(0, 297) + "...";
+  return `[${e.level}] ${text}${e.location ? ` (${e.location})` : ""}`;
+}
+
+// Counts console errors the page produces from now on; returns a hint for action results
+async function watchConsoleErrors(cdp) {
+  // Subscribe after enabling so the replay of older messages isn't counted
+  await cdp.send("Runtime.enable").catch(() => {});
+  await cdp.send("Log.enable").catch(() => {});
+  let errors = 0;
+  const onEvent = ({ method, params }) => {
+    if (consoleEntry(method, params)?.level === "error") errors++;
+  };
+  cdp.on("event", onEvent);
+  const hint = () => {
+    cdp.off("event", onEvent);
+    hint.count = errors;
+    if (!errors) return "";
+    return ` (${errors} new console error${errors === 1 ? "" : "s"}, see: console --level error)`;
+  };
+  return hint;
+}
+
+async function cmdConsole(opts = {}) {
+  const level = opts.level || "all";
+  if (!(level in CONSOLE_LEVELS)) throw usageError("Usage: console [--level error|warn|all] [--since <ms>]");
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  let messages;
+  try {
+    const { pool } = current();
+    if (pool) {
+      messages = pool.console.get(target.id) || [];
+    } else {
+      messages = [];
+      cdp.on("event", ({ method, params }) => {
+        const message = consoleEntry(method, params);
+        if (message) messages.push(message);
+      });
+      await cdp.send("Runtime.enable");
+      await cdp.send("Log.enable");
+      await new Promise(r => setTimeout(r, 100)); // let the replay finish arriving
+    }
+  } finally {
+    cdp.close();
+  }
+
+  const levels = CONSOLE_LEVELS[level];
+  const since = opts.since !== undefined ? Date.now() - parseInt(opts.since) : 0;
+  let shown = messages.filter(m => (!levels || levels.includes(m.level)) && m.time >= since);
+  const what = { all: "messages", error: "errors", warn: "warnings or errors" }[level];
+  if (shown.length === 0) return new Output(`No console ${what}${opts.since ? ` in the last ${opts.since}ms` : ""}.`, { messages: [] });
+  const hidden = shown.length - 100;
+  if (hidden > 0) shown = shown.slice(-100);
+  const text = (hidden > 0 ? `(${hidden} earlier messages not shown, use --since)\n` : "") + shown.map(formatConsoleEntry).join("\n");
+  return new Output(text, { messages: shown, hidden: Math.max(hidden, 0) });
+}
+
+// ── Request routing ──
+// block/mock rules live in the state file and are applied through the Fetch domain to
+// every page session we open, so they hold for as long as a session is attached — the
+// whole lifetime of the daemon, or the span of a single command without it.
+
+const RESOURCE_TYPES = ["Document", "Stylesheet", "Image", "Media", "Font", "Script", "TextTrack",
+  "XHR", "Fetch", "Prefetch", "EventSource", "WebSocket", "Manifest", "Ping", "Preflight", "Other"];
+
+const MIME_TYPES = {
+  ".json": "application/json", ".html": "text/html", ".htm": "text/html", ".js": "text/javascript",
+  ".css": "text/css", ".txt": "text/plain", ".xml": "application/xml", ".svg": "image/svg+xml",
+  ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".gif": "image/gif", ".webp": "image/webp"
+};
+
+// Write the hits counted in this process (current().routeHits) to the state file
+function flushRouteHits() {
+  const { routeHits } = current();
+  if (routeHits.size === 0) return;
+  const routes = (endpointState().routes || []).map(r => ({ ...r, hits: (r.hits || 0) + (routeHits.get(r.id) || 0) }));
+  routeHits.clear();
+  updateEndpointState({ routes });
+}
+
+function routeMatches(rule, request, resourceType) {
+  return rule.resourceType ? rule.resourceType === resourceType : urlMatches(request.url, rule.pattern);
+}
+
+async function fulfillMock(cdp, requestId, rule) {
+  const body = readFileSync(rule.file);
+  const headers = Object.entries(rule.headers || {}).map(([name, value]) => ({ name, value }));
+  if (!headers.some(h => h.name.toLowerCase() === "content-type")) {
+    headers.push({ name: "Content-Type", value: MIME_TYPES[path.extname(rule.file).toLowerCase()] || "application/octet-stream" });
+  }
+  headers.push({ name: "Access-Control-Allow-Origin", value: "*" });
+  await cdp.send("Fetch.fulfillRequest", {
+    requestId, responseCode: rule.status || 200, responseHeaders: headers, body: body.toString("base64")
+  });
+}
+
+// (Re)install the current rules on a page session; safe to call repeatedly
+async function applyRoutes(cdp) {
+  const routes = endpointState().routes || [];
+  const { routeHits } = current();
+  if (cdp.routeHandler) cdp.off("Fetch.requestPaused", cdp.routeHandler);
+  cdp.routeHandler = null;
+  if (routes.length === 0) {
+    if (cdp.routing) await cdp.send("Fetch.disable").catch(() => {});
+    cdp.routing = false;
+    return;
+  }
+  cdp.routeHandler = async ({ requestId, request, resourceType }) => {
+    const rule = routes.find(r => routeMatches(r, request, resourceType));
+    try {
+      if (!rule) return await cdp.send("Fetch.continueRequest", { requestId });
+      routeHits.set(rule.id, (routeHits.get(rule.id) || 0) + 1);
+      if (rule.action === "block") await cdp.send("Fetch.failRequest", { requestId, errorReason: "BlockedByClient" });
+      else await fulfillMock(cdp, requestId, rule);
+    } catch (_) {
+      // Unreadable mock file or the request went away — let it through
+      cdp.send("Fetch.continueRequest", { requestId }).catch(() => {});
+    }
+  };
+  cdp.on("Fetch.requestPaused", cdp.routeHandler);
+  if (!cdp.routing) await cdp.send("Fetch.enable", { patterns: [{ urlPattern: "*", requestStage: "Request" }] });
+  cdp.routing = true;
+}
+
+async function saveRoutes(routes) {
+  // Fold in hits counted since the rules were read
+  const { routeHits, pool } = current();
+  routes = routes.map(r => ({ ...r, hits: (r.hits || 0) + (routeHits.get(r.id) || 0) }));
+  routeHits.clear();
+  updateEndpointState({ routes });
+  if (!pool) return "\n(Rules apply while a command or the daemon is attached; run \"daemon start\" to keep them active between commands.)";
+  // Re-apply to the tabs the daemon already holds
+  for (const [key, session] of pool.sessions) {
+    if (key !== "browser") await applyRoutes(await session).catch(() => {});
+  }
+  return "";
+}
+
+function describeRoute(r) {
+  const what = r.resourceType ? `type ${r.resourceType}` : r.pattern;
+  const mock = r.action === "mock" ? ` → ${r.file} (${r.status || 200})` : "";
+  return `${r.action} ${what}${mock}`;
+}
+
+function addRoute(rule) {
+  const routes = endpointState().routes || [];
+  const id = routes.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+  routes.push({ id, ...rule, hits: 0 });
+  return { id, routes };
+}
+
+async function cmdBlock(pattern) {
+  if (!pattern) throw usageError("Usage: block <url-pattern|resource-type>");
+  const resourceType = RESOURCE_TYPES.find(t => t.toLowerCase() === pattern.toLowerCase());
+  const { id, routes } = addRoute(resourceType ? { action: "block", resourceType } : { action: "block", pattern });
+  const note = await saveRoutes(routes);
+  const route = routes[routes.length - 1];
+  return new Output(`Route [${id}]: ${describeRoute(route)}${note}`, { route });
+}
+
+async function cmdMock(pattern, file, opts = {}) {
+  if (!pattern || !file) throw usageError("Usage: mock <url-pattern> <file> [--status N] [--header k:v]");
+  file = path.resolve(file);
+  if (!existsSync(file)) throw new CommandError("NOT_FOUND", `Mock file not found: ${file}`);
+  const headers = {};
+  for (const header of opts.headers || []) {
+    const i = header.indexOf(":");
+    if (i < 1) throw new CommandError("BAD_ARGUMENT", `Bad header "${header}" (expected name:value)`);
+    headers[header.slice(0, i).trim()] = header.slice(i + 1).trim();
+  }
+  const status = opts.status ? parseInt(opts.status) : 200;
+  if (!(status >= 100 && status < 600)) throw new CommandError("BAD_ARGUMENT", `Bad status: ${opts.status}`);
+  const { id, routes } = addRoute({ action: "mock", pattern, file, status, headers });
+  const note = await saveRoutes(routes);
+  const route = routes[routes.length - 1];
+  return new Output(`Route [${id}]: ${describeRoute(route)}${note}`, { route });
+}
+
+async function cmdUnroute(ref) {
+  const routes = endpointState().routes || [];
+  if (routes.length === 0) return new Output("No routes.", { removed: 0 });
+  const keep = ref === undefined ? [] : routes.filter(r => String(r.id) !== ref && r.pattern !== ref && r.resourceType?.toLowerCase() !== ref.toLowerCase());
+  const removed = routes.length - keep.length;
+  if (removed === 0) throw new CommandError("NOT_FOUND", `No route matches "${ref}". Run: routes`);
+  await saveRoutes(keep);
+  return new Output(`Removed ${removed} route${removed === 1 ? "" : "s"}.`, { removed });
+}
+
+async function cmdRoutes() {
+  const routes = endpointState().routes || [];
+  if (routes.length === 0) return new Output("No routes. Add one with: block <pattern> or mock <pattern> <file>", { routes: [] });
+  const { routeHits } = current();
+  const counted = routes.map(r => ({ ...r, hits: (r.hits || 0) + (routeHits.get(r.id) || 0) }));
+  return new Output(counted.map(r => `[${r.id}] ${describeRoute(r)} — ${r.hits} hit${r.hits === 1 ? "" : "s"}`).join("\n"), { routes: counted });
+}
+
+// ── Cookies and storage ──
+// Cookies go through the browser target (all profiles' domains at once); web storage is
+// read and written in the current tab's origin.
+
+const COOKIE_FIELDS = ["name", "value", "domain", "path", "expires", "httpOnly", "secure", "sameSite"];
+
+function cookieMatchesDomain(cookie, domain) {
+  if (!domain) return true;
+  const d = cookie.domain.replace(/^\./, "");
+  domain = domain.replace(/^\./, "");
+  return d === domain || d.endsWith("." + domain) || domain.endsWith("." + d);
+}
+
+function formatCookie(c) {
+  const flags = [c.secure && "Secure", c.httpOnly && "HttpOnly", c.sameSite && `SameSite=${c.sameSite}`].filter(Boolean);
+  const expires = c.expires > 0 ? `expires ${new Date(c.expires * 1000).toISOString().slice(0, 10)}` : "session";
+  const value = c.value.length > 60 ? c.value.slice(0, 57) + "..." : c.value;
+  return `${c.name}=${value}  (${c.domain}${c.path}, ${[...flags, expires].join(", ")})`;
+}
+
+// Netscape cookies.txt: domain, include-subdomains, path, secure, expires, name, value
+function toNetscape(cookies) {
+  const lines = ["# Netscape HTTP Cookie File", "# Exported by browser-js", ""];
+  for (const c of cookies) {
+    const domain = (c.httpOnly ? "#HttpOnly_" : "") + c.domain;
+    lines.push([domain, c.domain.startsWith(".") ? "TRUE" : "FALSE", c.path, c.secure ? "TRUE" : "FALSE",
+      c.expires > 0 ? Math.round(c.expires) : 0, c.name, c.value].join("\t"));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function fromNetscape(text) {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith("#HttpOnly_")) {
+      httpOnly = true;
+      line = line.slice("#HttpOnly_".length);
+    } else if (!line.trim() || line.startsWith("#")) continue;
+    const [domain, , cookiePath, secure, expires, name, value = ""] = line.split("\t");
+    if (!name) continue;
+    cookies.push({ name, value, domain, path: cookiePath || "/", secure: secure === "TRUE", httpOnly, expires: Number(expires) || -1 });
+  }
+  return cookies;
+}
+
+// JSON (an array, or an object with a "cookies" array) or Netscape cookies.txt
+function parseCookieFile(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (_) { return fromNetscape(text); }
+  const list = Array.isArray(data) ? data : data.cookies;
+  if (!Array.isArray(list)) throw new CommandError("BAD_ARGUMENT", "Expected a JSON array of cookies or a Netscape cookies.txt file");
+  return list.map(c => ({ ...c, expires: c.expires ?? c.expirationDate ?? -1 }));
+}
+
+function toCookieParam(c) {
+  const param = {};
+  for (const field of COOKIE_FIELDS) if (c[field] !== undefined && c[field] !== null) param[field] = c[field];
+  if (param.expires <= 0 || c.session) delete param.expires;
+  if (param.sameSite) param.sameSite = param.sameSite[0].toUpperCase() + param.sameSite.slice(1).toLowerCase();
+  if (!["Strict", "Lax", "None"].includes(param.sameSite)) delete param.sameSite;
+  return param;
+}
+
+async function getCookies(domain) {
+  const browser = await connectToBrowser();
+  try {
+    const { cookies } = await browser.send("Storage.getCookies");
+    return cookies.filter(c => cookieMatchesDomain(c, domain));
+  } finally {
+    browser.close();
+  }
+}
+
+async function cmdCookies(action, args, opts = {}) {
+  if (action === "set") {
+    const [name, ...words] = args;
+    const value = words.length ? words.join(" ") : undefined;
+    if (!name || value === undefined) throw usageError("Usage: cookies set <name> <value> [--domain d] [--path p] [--expires <unix-seconds>] [--secure] [--http-only] [--same-site Lax|Strict|None]");
+    const cookie = { name, value, path: opts.path || "/", secure: !!opts.secure, httpOnly: !!opts["http-only"] };
+    if (opts.domain) cookie.domain = opts.domain;
+    else cookie.url = (await getCurrentTarget()).url;
+    if (opts.expires) cookie.expires = Number(opts.expires);
+    if (opts["same-site"]) cookie.sameSite = toCookieParam({ sameSite: opts["same-site"] }).sameSite;
+    const browser = await connectToBrowser();
+    try {
+      await browser.send("Storage.setCookies", { cookies: [cookie] });
+    } finally {
+      browser.close();
+    }
+    const domain = opts.domain || new URL(cookie.url).hostname;
+    return new Output(`Set cookie ${name} for ${domain}`, { name, domain });
+  }
+
+  if (action === "delete" || action === "clear") {
+    const name = action === "delete" ? args[0] : undefined;
+    if (action === "delete" && !name) throw usageError("Usage: cookies delete <name> [--domain d]");
+    const domain = action === "clear" ? args[0] : opts.domain;
+    if (action === "clear" && !domain) {
+      const browser = await connectToBrowser();
+      try {
+        await browser.send("Storage.clearCookies");
+      } finally {
+        browser.close();
+      }
+      return new Output("Cleared all cookies.", { deleted: null });
+    }
+    const matches = (await getCookies(domain || new URL((await getCurrentTarget()).url).hostname))
+      .filter(c => !name || c.name === name);
+    if (matches.length === 0) {
+      return new Output(name ? `No cookie named ${name}${domain ? ` for ${domain}` : " for this site"}.` : `No cookies for ${domain}.`, { deleted: 0 });
+    }
+    const target = await getCurrentTarget();
+    const cdp = await connectToTarget(target.id);
+    try {
+      for (const c of matches) await cdp.send("Network.deleteCookies", { name: c.name, domain: c.domain, path: c.path });
+    } finally {
+      cdp.close();
+    }
+    return new Output(`Deleted ${matches.length} cookie${matches.length === 1 ? "" : "s"}.`, { deleted: matches.length });
+  }
+
+  if (action === "export") {
+    const [file, domain] = args;
+    if (!file) throw usageError("Usage: cookies export <file.json|file.txt> [domain]");
+    const cookies = await getCookies(domain);
+    const netscape = /\.txt$/i.test(file);
+    writeFileSync(file, netscape ? toNetscape(cookies) : JSON.stringify(cookies.map(toCookieParam), null, 2));
+    return new Output(`Exported ${cookies.length} cookies to ${file}${netscape ? " (Netscape format)" : ""}`, {
+      path: path.resolve(file), cookies: cookies.length, format: netscape ? "netscape" : "json"
+    });
+  }
+
+  if (action === "import") {
+    const [file] = args;
+    if (!file) throw usageError("Usage: cookies import <file>");
+    const now = Date.now() / 1000;
+    const cookies = parseCookieFile(readFileSync(file, "utf8"))
+      .filter(c => c.name && c.domain && !(c.expires > 0 && c.expires < now))
+      .map(toCookieParam);
+    const browser = await connectToBrowser();
+    try {
+      await browser.send("Storage.setCookies", { cookies });
+    } finally {
+      browser.close();
+    }
+    return new Output(`Imported ${cookies.length} cookies from ${file}`, { path: path.resolve(file), cookies: cookies.length });
+  }
+
+  // List, optionally for one domain (no argument: the current tab's site)
+  const domain = action || new URL((await getCurrentTarget()).url).hostname;
+  const cookies = await getCookies(domain);
+  if (cookies.length === 0) return new Output(`No cookies for ${domain}.`, { cookies: [] });
+  return new Output(cookies.map(formatCookie).join("\n"), { cookies });
+}
+
+async function cmdStorage(area, action, key, value) {
+  const usage = "Usage: storage local|session [get [key] | set <key> <value> | delete <key> | clear]";
+  if (area !== "local" && area !== "session") throw usageError(usage);
+  action = action || "get";
+  if (!["get", "set", "delete", "clear"].includes(action)) throw usageError(usage);
+  if ((action === "set" && (!key || value === undefined)) || (action === "delete" && !key)) throw usageError(usage);
+  const store = `${area}Storage`;
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    const { result, exceptionDetails } = await cdp.send("Runtime.evaluate", { expression: `
+      (() => {
+        const store = window.${store};
+        const action = ${JSON.stringify(action)}, key = ${JSON.stringify(key ?? null)};
+        if (action === 'set') store.setItem(key, ${JSON.stringify(value ?? null)});
+        if (action === 'delete') store.removeItem(key);
+        if (action === 'clear') store.clear();
+        if (action === 'get' && key !== null) return JSON.stringify({ origin: location.origin, value: store.getItem(key) });
+        return JSON.stringify({ origin: location.origin, entries: Object.keys(store).map(k => [k, store.getItem(k)]) });
+      })()
+    ` });
+    // e.g. SecurityError on opaque origins such as about:blank or data: URLs
+    if (exceptionDetails) throw new CommandError("JS_ERROR", exceptionDetails.exception?.description?.split("\n")[0] || exceptionDetails.text);
+    const res = JSON.parse(result.value);
+    const data = { area, origin: res.origin };
+    if (action === "set") return new Output(`Set ${store}["${key}"] on ${res.origin}`, { ...data, key, value });
+    if (action === "delete") return new Output(`Deleted ${store}["${key}"] on ${res.origin}`, { ...data, key });
+    if (action === "clear") return new Output(`Cleared ${store} on ${res.origin}`, data);
+    if (key !== undefined) return new Output(res.value === null ? `No ${store} key "${key}" on ${res.origin}` : res.value, { ...data, key, value: res.value });
+    const entries = Object.fromEntries(res.entries);
+    if (res.entries.length === 0) return new Output(`${store} is empty on ${res.origin}`, { ...data, entries });
+    return new Output(res.entries.map(([k, v]) => `${k} = ${v.length > 200 ? v.slice(0, 197) + "..." : v}`).join("\n"), { ...data, entries });
+  } finally {
+    cdp.close();
+  }
+}
+
+// ── Downloads ──
+// Downloads go to a directory we choose (Browser.setDownloadBehavior) so the agent knows
+// where files land. Chrome only reports progress to the session that asked for events,
+// so each browser session we use for downloads records them in the state file.
+// Chrome saves each file under its guid (allowAndName) and we give it its suggested name
+// when it completes: with plain "allow" Chrome would rename clashes ("report (1).csv")
+// without telling us.
+
+const DOWNLOAD_HISTORY = 20;
+
+function downloadDir() {
+  return endpointState().downloadDir || path.join(os.homedir(), "Downloads");
+}
+
+function recordDownload(guid, patch) {
+  const downloads = endpointState().downloads || [];
+  const i = downloads.findIndex(d => d.guid === guid);
+  if (i === -1) downloads.push({ guid, ...patch });
+  else downloads[i] = { ...downloads[i], ...patch };
+  updateEndpointState({ downloads: downloads.slice(-DOWNLOAD_HISTORY) });
+}
+
+// First free name for a file in dir: "report.csv", then "report (1).csv", ...
+function freeFileName(dir, name) {
+  const { name: base, ext } = path.parse(name);
+  let file = path.join(dir, name);
+  for (let n = 1; existsSync(file); n++) file = path.join(dir, `${base} (${n})${ext}`);
+  return file;
+}
+
+// Point downloads at our directory and log them; a pooled (daemon) session keeps logging
+async function watchDownloads(browser) {
+  const dir = downloadDir();
+  mkdirSync(dir, { recursive: true });
+  await browser.send("Browser.setDownloadBehavior", { behavior: "allowAndName", downloadPath: dir, eventsEnabled: true });
+  browser.downloadDir = dir;
+  if (browser.watchingDownloads) return;
+  browser.watchingDownloads = true;
+  const started = new Map(); // guid -> { dir, name }
+  browser.on("Browser.downloadWillBegin", (d) => {
+    started.set(d.guid, { dir: browser.downloadDir, name: d.suggestedFilename });
+    recordDownload(d.guid, { url: d.url, file: d.suggestedFilename, path: path.join(browser.downloadDir, d.guid), state: "inProgress", time: Date.now() });
+  });
+  browser.on("Browser.downloadProgress", (d) => {
+    if (d.state === "inProgress") return;
+    const download = started.get(d.guid);
+    started.delete(d.guid);
+    if (d.state !== "completed" || !download) return recordDownload(d.guid, { state: d.state, size: d.receivedBytes });
+    const saved = d.filePath || path.join(download.dir, d.guid);
+    let file = saved;
+    try {
+      file = freeFileName(download.dir, download.name);
+      renameSync(saved, file);
+    } catch (_) {
+      file = saved; // keep the guid name rather than lose track of the file
+    }
+    recordDownload(d.guid, { state: d.state, size: d.receivedBytes, file: path.basename(file), path: file });
+  });
+}
+
+// Where a finished download ended up, as recorded by watchDownloads
+function downloadPath(guid) {
+  return (endpointState().downloads || []).find(d => d.guid === guid)?.path;
+}
+
+async function cmdDownloads(action, dir) {
+  if (action === "dir") {
+    if (!dir) return new Output(`Downloads go to: ${downloadDir()}`, { dir: downloadDir() });
+    dir = path.resolve(dir);
+    mkdirSync(dir, { recursive: true });
+    updateEndpointState({ downloadDir: dir });
+    const browser = await connectToBrowser();
+    try {
+      await watchDownloads(browser);
+    } finally {
+      browser.close();
+    }
+    const note = current().pool ? "" : "\n(download always saves here; other downloads only while a command or the daemon is attached — run \"daemon start\" to keep it between commands.)";
+    return new Output(`Downloads go to: ${dir}${note}`, { dir });
+  }
+  if (action) throw usageError("Usage: downloads [dir [path]]");
+  const downloads = endpointState().downloads || [];
+  if (downloads.length === 0) return new Output(`No downloads recorded yet (they go to ${downloadDir()}).`, { dir: downloadDir(), downloads });
+  return new Output(downloads.map((d, i) => {
+    const size = d.size !== undefined ? `, ${formatBytes(d.size)}` : "";
+    return `[${i + 1}] ${d.file} (${d.state === "inProgress" ? "in progress" : d.state}${size}) ${d.path}`;
+  }).join("\n"), { dir: downloadDir(), downloads });
+}
+
+async function cmdDownload(index, opts = {}) {
+  if (index === undefined) throw usageError("Usage: download <index> [--timeout ms]");
+  const timeout = parseInt(opts.timeout) || 60000;
+  const browser = await connectToBrowser();
+  try {
+    await watchDownloads(browser);
+    // Small files can finish within click's settle window — collect final states from the start
+    const finished = new Map();
+    const onProgress = (p) => { if (p.state !== "inProgress") finished.set(p.guid, p); };
+    browser.on("Browser.downloadProgress", onProgress);
+    let download, done;
+    try {
+      const began = waitForEvent(browser, "Browser.downloadWillBegin", 5000 + SETTLE_MS);
+      const clicked = await cmdClick(index);
+      download = await began;
+      if (!download) throw new CommandError("TIMEOUT", `${clicked}\nNo download started.`);
+      const deadline = Date.now() + timeout;
+      while (!(done = finished.get(download.guid)) && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, 100));
+      }
+    } finally {
+      browser.off("Browser.downloadProgress", onProgress);
+    }
+    const file = downloadPath(download.guid) || path.join(downloadDir(), download.suggestedFilename);
+    if (!done) throw new CommandError("TIMEOUT", `Download of ${download.suggestedFilename} still running after ${timeout}ms (see: downloads)`);
+    if (done.state === "canceled") throw new CommandError("ACTION_FAILED", `Download canceled: ${download.suggestedFilename}`);
+    return new Output(`Downloaded: ${file} (${formatBytes(done.receivedBytes)})`, { path: file, bytes: done.receivedBytes });
+  } finally {
+    browser.close();
+  }
+}
+
+// ── Emulation ──
+// Device, locale and network overrides. Like routes they are stored in the state file and
+// re-applied to every page session, since Chrome drops them when a session detaches.
+
+const IPHONE_UA = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1";
+const IPAD_UA = "Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1";
+const ANDROID_UA = (model) => `Mozilla/5.0 (Linux; Android 14; ${model}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36`;
+
+const DEVICE_PRESETS = {
+  "iphone-se": { viewport: [375, 667], dpr: 2, mobile: true, touch: true, ua: IPHONE_UA },
+  "iphone-14": { viewport: [390, 844], dpr: 3, mobile: true, touch: true, ua: IPHONE_UA },
+  "iphone-14-pro-max": { viewport: [430, 932], dpr: 3, mobile: true, touch: true, ua: IPHONE_UA },
+  "pixel-7": { viewport: [412, 915], dpr: 2.625, mobile: true, touch: true, ua: ANDROID_UA("Pixel 7") },
+  "galaxy-s23": { viewport: [360, 780], dpr: 3, mobile: true, touch: true, ua: ANDROID_UA("SM-S911B") },
+  "ipad": { viewport: [820, 1180], dpr: 2, mobile: true, touch: true, ua: IPAD_UA },
+  "laptop": { viewport: [1366, 768], dpr: 1, mobile: false, touch: false },
+  "desktop-1080p": { viewport: [1920, 1080], dpr: 1, mobile: false, touch: false },
+  "desktop-1440p": { viewport: [2560, 1440], dpr: 1, mobile: false, touch: false }
+};
+
+// DevTools' throttling presets (throughput in bytes/s)
+const THROTTLE_PRESETS = {
+  "slow-3g": { latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  "3g": { latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+  "4g": { latency: 165, downloadThroughput: 1012500, uploadThroughput: 168750 }
+};
+
+function currentEmulation() {
+  return endpointState().emulation || null;
+}
+
+async function applyEmulation(cdp, e) {
+  if (!e) return;
+  if (e.viewport || e.dpr || e.mobile) {
+    const [width, height] = e.viewport || [0, 0]; // 0 keeps the window's own size
+    await cdp.send("Emulation.setDeviceMetricsOverride", { width, height, deviceScaleFactor: e.dpr || 0, mobile: !!e.mobile });
+  }
+  if (e.touch) await cdp.send("Emulation.setTouchEmulationEnabled", { enabled: true, maxTouchPoints: 5 });
+  if (e.ua || e.locale) {
+    const userAgent = e.ua || (await cdpFetch("/json/version"))["User-Agent"];
+    await cdp.send("Emulation.setUserAgentOverride", { userAgent, ...(e.locale && { acceptLanguage: e.locale }) });
+  }
+  if (e.locale) await cdp.send("Emulation.setLocaleOverride", { locale: e.locale });
+  if (e.timezone) await cdp.send("Emulation.setTimezoneOverride", { timezoneId: e.timezone });
+  if (e.geo) await cdp.send("Emulation.setGeolocationOverride", { latitude: e.geo[0], longitude: e.geo[1], accuracy: 50 });
+  if (e.colorScheme) await cdp.send("Emulation.setEmulatedMedia", { features: [{ name: "prefers-color-scheme", value: e.colorScheme }] });
+  if (e.offline || e.throttle) {
+    await cdp.send("Network.enable");
+    const conditions = THROTTLE_PRESETS[e.throttle] || { latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+    await cdp.send("Network.emulateNetworkConditions", { offline: !!e.offline, ...conditions });
+  }
+}
+
+async function clearEmulation(cdp) {
+  const calls = [
+    ["Emulation.clearDeviceMetricsOverride"],
+    ["Emulation.setTouchEmulationEnabled", { enabled: false }],
+    ["Emulation.setUserAgentOverride", { userAgent: "" }],
+    ["Emulation.setLocaleOverride", {}],
+    ["Emulation.setTimezoneOverride", { timezoneId: "" }],
+    ["Emulation.clearGeolocationOverride"],
+    ["Emulation.setEmulatedMedia", { features: [] }],
+    ["Network.emulateNetworkConditions", { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }]
+  ];
+  for (const [method, params] of calls) await cdp.send(method, params).catch(() => {});
+}
+
+function describeEmulation(e) {
+  const parts = [];
+  if (e.preset) parts.push(e.preset);
+  if (e.viewport) parts.push(`${e.viewport[0]}x${e.viewport[1]}`);
+  if (e.dpr) parts.push(`dpr ${e.dpr}`);
+  if (e.mobile) parts.push("mobile");
+  if (e.touch) parts.push("touch");
+  if (e.locale) parts.push(`locale ${e.locale}`);
+  if (e.timezone) parts.push(`timezone ${e.timezone}`);
+  if (e.geo) parts.push(`geo ${e.geo.join(",")}`);
+  if (e.colorScheme) parts.push(`${e.colorScheme} color scheme`);
+  if (e.offline) parts.push("offline");
+  if (e.throttle) parts.push(`${e.throttle} network`);
+  if (e.ua && !e.preset) parts.push(`UA "${e.ua.slice(0, 40)}${e.ua.length > 40 ? "..." : ""}"`);
+  return parts.join(", ");
+}
+
+// On/off flag: --name or --name=true turns it on, --no-name or --name=false off; undefined if not given
+function switchFlag(flags, name) {
+  if (flags[`no-${name}`]) return false;
+  const value = flags[name];
+  if (value === undefined) return undefined;
+  if (value === true || value === "true") return true;
+  if (value === "false") return false;
+  throw new CommandError("BAD_ARGUMENT", `Bad --${name}=${value} (use --${name} or --no-${name})`);
+}
+
+// Flags → settings (only the ones given); switched-off settings come back undefined so they drop out
+function parseEmulationFlags(flags) {
+  const e = {};
+  if (flags.viewport !== undefined) {
+    const m = String(flags.viewport).match(/^(\d+)x(\d+)$/);
+    if (!m) throw new CommandError("BAD_ARGUMENT", `Bad --viewport: ${flags.viewport} (use WxH, e.g. 390x844)`);
+    e.viewport = [parseInt(m[1]), parseInt(m[2])];
+  }
+  if (flags.dpr !== undefined) {
+    e.dpr = parseFloat(flags.dpr);
+    if (!(e.dpr > 0)) throw new CommandError("BAD_ARGUMENT", `Bad --dpr: ${flags.dpr}`);
+  }
+  for (const name of ["mobile", "touch", "offline"]) {
+    const on = switchFlag(flags, name);
+    if (on !== undefined) e[name] = on || undefined;
+  }
+  if (flags.ua) e.ua = flags.ua;
+  if (flags.locale) e.locale = flags.locale;
+  if (flags.timezone) e.timezone = flags.timezone;
+  if (flags.geo !== undefined) {
+    const geo = String(flags.geo).split(",").map(Number);
+    if (geo.length !== 2 || geo.some(isNaN)) throw new CommandError("BAD_ARGUMENT", `Bad --geo: ${flags.geo} (use lat,lng)`);
+    e.geo = geo;
+  }
+  if (flags["color-scheme"]) {
+    if (!["dark", "light", "no-preference"].includes(flags["color-scheme"])) throw new CommandError("BAD_ARGUMENT", "--color-scheme must be dark, light or no-preference");
+    e.colorScheme = flags["color-scheme"];
+  }
+  if (flags.throttle) {
+    if (flags.throttle !== "off" && !THROTTLE_PRESETS[flags.throttle]) throw new CommandError("BAD_ARGUMENT", `--throttle must be one of: ${Object.keys(THROTTLE_PRESETS).join(", ")}, off`);
+    e.throttle = flags.throttle === "off" ? undefined : flags.throttle;
+  }
+  return e;
+}
+
+async function cmdEmulate(preset, flags = {}) {
+  const { pool } = current();
+  const target = await getCurrentTarget();
+  const cdp = await connectToTarget(target.id);
+  try {
+    if (preset === "reset") {
+      updateEndpointState({ emulation: undefined });
+      await clearEmulation(cdp);
+      if (pool) {
+        for (const [key, session] of pool.sessions) {
+          if (key !== "browser") await clearEmulation(await session).catch(() => {});
+        }
+      }
+      return new Output("Emulation cleared.", { emulation: null });
+    }
+    if (!preset && Object.keys(flags).length === 0) {
+      const e = currentEmulation();
+      if (e) return new Output(`Emulating: ${describeEmulation(e)}`, { emulation: e });
+      return new Output(`No emulation. Presets: ${Object.keys(DEVICE_PRESETS).join(", ")}`, { emulation: null, presets: Object.keys(DEVICE_PRESETS) });
+    }
+
+    let settings = { ...currentEmulation() };
+    if (preset) {
+      const device = DEVICE_PRESETS[preset.toLowerCase()];
+      if (!device) throw new CommandError("BAD_ARGUMENT", `Unknown preset: ${preset}. Presets: ${Object.keys(DEVICE_PRESETS).join(", ")}`);
+      // A new device replaces the previous one's metrics and UA; locale etc. carry over
+      for (const key of ["viewport", "dpr", "mobile", "touch", "ua"]) delete settings[key];
+      settings = { ...settings, ...device, preset: preset.toLowerCase() };
+    }
+    settings = { ...settings, ...parseEmulationFlags(flags) };
+    if (flags.ua) delete settings.preset;
+
+    // Switching away from a mobile/touch device needs the old overrides cleared first
+    await clearEmulation(cdp);
+    await applyEmulation(cdp, settings); // invalid values (e.g. timezone) fail here, before saving
+    updateEndpointState({ emulation: settings });
+    if (pool) {
+      for (const [key, session] of pool.sessions) {
+        if (key === "browser" || key === target.id) continue;
+        const other = await session;
+        await clearEmulation(other);
+        await applyEmulation(other, settings).catch(() => {});
+      }
+    }
+    const note = pool ? "" : "\n(Overrides apply while a command or the daemon is attached; run \"daemon start\" to keep the page emulated between commands.)";
+    return new Output(`Emulating: ${describeEmulation(settings)}${note}`, { emulation: settings });
   } finally {
     cdp.close();
   }
 }
 
+// Click at viewport coordinates — a tap when touch emulation is on
+async function pointerClick(cdp, x, y, { button = "left", clickCount = 1 } = {}) {
+  if (currentEmulation()?.touch && button === "left") {
+    await cdp.send("Input.dispatchTouchEvent", { type: "touchStart", touchPoints: [{ x, y }] });
+    await cdp.send("Input.dispatchTouchEvent", { type: "touchEnd", touchPoints: [] });
+    return;
+  }
+  await cdp.send("Input.dispatchMouseEvent", { type: "mousePressed", x, y, button, clickCount });
+  await cdp.send("Input.dispatchMouseEvent", { type: "mouseReleased", x, y, button, clickCount });
+}
+
+// ── Library API ──
+// require("browser-js") gives Browser and Page over the same cmd* functions the CLI runs, so the
+// two can't drift apart. Methods return the fields --json prints (lists and single values
+// unwrapped); failures reject with a CommandError carrying the same code.
+//
+//   const { Browser } = require("browser-js");
+//   const browser = await Browser.connect({ cdpUrl: "http://127.0.0.1:9222" });
+//   const page = await browser.page();
+//   await page.goto("https://example.com");
+//   const buttons = (await page.elements()).filter(e => e.label === "button");
+//   await page.click(buttons[0].index);
+//   await browser.close();
+
+// Structured fields of a command result (plain-text results stay strings)
+function resultData(result) {
+  return result instanceof Output ? result.data : result;
+}
+
+class Browser {
+  constructor(cdpUrl, opts = {}) {
+    if (opts.onDialog !== undefined && !DIALOG_POLICIES.includes(opts.onDialog)) {
+      throw new CommandError("BAD_ARGUMENT", `onDialog must be one of: ${DIALOG_POLICIES.join(", ")}`);
+    }
+    // Sessions stay open until close(), like the daemon's
+    this.context = { cdpUrl, options: { ...DEFAULT_OPTIONS, onDialog: opts.onDialog }, pool: new SessionPool(), routeHits: new Map() };
+  }
+
+  // Options: cdpUrl (default: $CDP_URL, the launched browser, or http://127.0.0.1:18800), onDialog (accept|dismiss|report)
+  static async connect(opts = {}) {
+    const cdpUrl = opts.cdpUrl || process.env.CDP_URL || await launchedEndpoint() || DEFAULT_CDP_URL;
+    const browser = new Browser(cdpUrl.replace(/\/+$/, ""), opts);
+    await browser.run(() => cdpFetch("/json/version")); // NO_BROWSER if nothing listens there
+    return browser;
+  }
+
+  // Run fn in this browser's context; tab pins it to one page. Unlike --on-dialog, onDialog
+  // is not saved to the state file: it belongs to this Browser, not to every later CLI call.
+  run(fn, tab) {
+    const context = { ...this.context, options: { ...this.context.options, tab } };
+    return contextStore.run(context, async () => {
+      try {
+        return await fn();
+      } finally {
+        flushRouteHits();
+      }
+    });
+  }
+
+  // Any CLI command by argv, e.g. command(["cookies", "export", "site.json"])
+  async command(argv, tab) {
+    const [cmd, ...args] = argv;
+    const handler = COMMANDS[cmd?.toLowerCase()];
+    if (!handler) throw new CommandError("UNKNOWN_COMMAND", `Unknown command: ${cmd}`);
+    return resultData(await this.run(() => handler(args.map(String)), tab));
+  }
+
+  async pages() {
+    const { tabs } = resultData(await this.run(() => cmdTabs()));
+    return tabs.map(t => new Page(this, t.targetId));
+  }
+
+  // The active tab (as set by tab / newPage / the CLI)
+  async page() {
+    const target = await this.run(() => getCurrentTarget());
+    return new Page(this, target.id);
+  }
+
+  async newPage(url) {
+    const { targetId } = resultData(await this.run(() => cmdNewTab(url)));
+    return new Page(this, targetId);
+  }
+
+  async close() {
+    await this.context.pool.closeAll();
+  }
+}
+
+class Page {
+  constructor(browser, targetId) {
+    this.browser = browser;
+    this.targetId = targetId;
+  }
+
+  async call(fn) {
+    return resultData(await this.browser.run(fn, this.targetId));
+  }
+
+  command(argv) {
+    return this.browser.command(argv, this.targetId);
+  }
+
+  goto(url) { return this.call(() => cmdOpen(url)); }
+  async url() { return (await this.call(() => cmdUrl())).url; }
+  back() { return this.call(() => cmdBack()); }
+  forward() { return this.call(() => cmdForward()); }
+  refresh() { return this.call(() => cmdRefresh()); }
+  activate() { return this.call(() => cmdTab(this.targetId)); }
+  close() { return this.call(() => cmdClose()); }
+
+  async elements(selector) { return (await this.call(() => cmdElements(selector))).elements; }
+  click(index) { return this.call(() => cmdClick(String(index))); }
+  type(index, text, opts = {}) { return this.call(() => cmdType(String(index), String(text), opts)); }
+  press(key, index) { return this.call(() => cmdPress(key, index === undefined ? undefined : String(index))); }
+  select(index, option) { return this.call(() => cmdSelect(String(index), String(option))); }
+  check(index) { return this.call(() => cmdCheck(String(index), true)); }
+  uncheck(index) { return this.call(() => cmdCheck(String(index), false)); }
+  set(index, value) { return this.call(() => cmdSet(String(index), String(value))); }
+  // spec: { "Label": value } or a JSON/YAML file path
+  async fill(spec, opts = {}) {
+    const source = typeof spec === "string" ? spec : JSON.stringify(spec);
+    return (await this.call(() => cmdFill(source, opts))).fields;
+  }
+  upload(index, files) { return this.call(() => cmdUpload([String(index), ...[].concat(files)])); }
+  drop(index, files) { return this.call(() => cmdDrop(String(index), [].concat(files))); }
+  scroll(direction, px) { return this.call(() => cmdScroll(direction, px === undefined ? undefined : String(px))); }
+
+  // opts: markdown, page, offset — long pages come in TEXT_PAGE_SIZE chunks as on the CLI
+  async text(selector, opts = {}) { return (await this.call(() => cmdText(selector === undefined ? undefined : String(selector), opts))).text; }
+  async html(selector) { return (await this.call(() => cmdHtml(selector))).html; }
+  async eval(js) { return (await this.call(() => cmdEval(js))).value; }
+  screenshot(filePath, opts = {}) { return this.call(() => cmdScreenshot(filePath, opts)); }
+  pdf(filePath, opts = {}) { return this.call(() => cmdPdf(filePath, opts)); }
+  waitFor(kind, value, opts = {}) { return this.call(() => cmdWaitFor(kind, value === undefined ? undefined : String(value), opts)); }
+  dialog(action, text) { return this.call(() => cmdDialog(action, text)); }
+  async console(opts = {}) { return (await this.call(() => cmdConsole(opts))).messages; }
+  async network(pattern, opts = {}) { return (await this.call(() => cmdNetwork(pattern, undefined, opts))).requests; }
+}
+
 // ── Main ──
 
 const COMMANDS = {
@@ -846,45 +3847,648 @@ const COMMANDS = {
   "hover-xy": (args) => cmdHoverXY(args[0], args[1]),
   "drag-xy": (args) => cmdDragXY(args[0], args[1], args[2], args[3]),
   "iframe-rect": (args) => cmdIframeRect(args.join(" ")),
-  type: (args) => cmdType(args[0], args.slice(1).join(" ")),
-  text: (args) => cmdText(args[0]),
+  type: (args) => {
+    const rest = args.filter(a => a !== "--submit");
+    return cmdType(rest[0], rest.length > 1 ? rest.slice(1).join(" ") : undefined, { submit: rest.length < args.length });
+  },
+  dialog: (args) => cmdDialog(args[0], args[1]),
+  press: (args) => cmdPress(args[0], args[1]),
+  select: (args) => cmdSelect(args[0], args.slice(1).join(" ")),
+  check: (args) => cmdCheck(args[0], true),
+  uncheck: (args) => cmdCheck(args[0], false),
+  set: (args) => cmdSet(args[0], args.length > 1 ? args.slice(1).join(" ") : undefined),
+  form: (args) => cmdForm(args[0]),
+  fill: (args) => {
+    const { flags, positional } = parseFlags(args, ["form"]);
+    return cmdFill(positional.join(" "), flags);
+  },
+  text: (args) => {
+    const { flags, positional } = parseFlags(args, ["page", "offset"]);
+    return cmdText(positional[0], flags);
+  },
   html: (args) => cmdHtml(args[0]),
   eval: (args) => cmdEval(args.join(" ")),
-  screenshot: (args) => cmdScreenshot(args[0]),
+  screenshot: (args) => {
+    const { flags, positional } = parseFlags(args, ["element", "format", "quality"]);
+    return cmdScreenshot(positional[0], flags);
+  },
+  pdf: (args) => {
+    const { flags, positional } = parseFlags(args, ["paper", "margin", "header", "footer", "pages", "scale"]);
+    return cmdPdf(positional[0], flags);
+  },
   scroll: (args) => cmdScroll(args[0], args[1]),
   url: () => cmdUrl(),
   back: () => cmdBack(),
   forward: () => cmdForward(),
   refresh: () => cmdRefresh(),
-  upload: (args) => cmdUpload(args[0], args[1]),
+  upload: (args) => cmdUpload(args),
+  drop: (args) => cmdDrop(args[0], args.slice(1)),
   wait: (args) => cmdWait(args[0]),
+  "wait-for": (args) => {
+    const { flags, positional } = parseFlags(args, ["timeout", "count"]);
+    return cmdWaitFor(positional[0], positional.slice(1).join(" "), flags);
+  },
+  events: (args) => cmdEvents(args[0]),
+  console: (args) => cmdConsole(parseFlags(args, ["level", "since"]).flags),
+  block: (args) => cmdBlock(args[0]),
+  mock: (args) => {
+    // --header may repeat
+    const headers = [];
+    const rest = [];
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--header") headers.push(args[++i]);
+      else if (args[i].startsWith("--header=")) headers.push(args[i].slice(9));
+      else rest.push(args[i]);
+    }
+    const { flags, positional } = parseFlags(rest, ["status"]);
+    return cmdMock(positional[0], positional[1], { ...flags, headers });
+  },
+  unroute: (args) => cmdUnroute(args[0]),
+  routes: () => cmdRoutes(),
+  tables: () => cmdTables(),
+  table: (args) => {
+    const { flags, positional } = parseFlags(args, ["out"]);
+    return cmdTable(positional[0], flags);
+  },
+  emulate: (args) => {
+    const { flags, positional } = parseFlags(args, ["viewport", "dpr", "ua", "locale", "timezone", "geo", "color-scheme", "throttle"]);
+    return cmdEmulate(positional[0], flags);
+  },
+  download: (args) => {
+    const { flags, positional } = parseFlags(args, ["timeout"]);
+    return cmdDownload(positional[0], flags);
+  },
+  downloads: (args) => cmdDownloads(args[0], args[1]),
+  cookies: (args) => {
+    const { flags, positional } = parseFlags(args, ["domain", "path", "expires", "same-site"]);
+    const action = ["set", "delete", "clear", "export", "import"].includes(positional[0]) ? positional[0] : undefined;
+    return cmdCookies(action || positional[0], action ? positional.slice(1) : [], flags);
+  },
+  storage: (args) => cmdStorage(args[0], args[1], args[2], args.length > 3 ? args.slice(3).join(" ") : undefined),
+  network: (args) => {
+    const { flags, positional } = parseFlags(args, ["type", "limit"]);
+    if (["body", "export", "clear"].includes(positional[0])) return cmdNetwork(positional[0], positional[1], flags);
+    return cmdNetwork(positional[0], undefined, flags);
+  },
 };
 
-async function main() {
-  const args = process.argv.slice(2);
+// Commands that run in the CLI process itself and are never forwarded to the daemon
+const CLI_COMMANDS = {
+  launch: (args) => cmdLaunch(parseFlags(args, ["profile", "port"]).flags),
+  kill: () => cmdKill(),
+  status: () => cmdStatus(),
+  daemon: (args) => cmdDaemon(args[0]),
+  run: (args) => cmdRun(args.find(a => !a.startsWith("--")), { stopOnError: args.includes("--stop-on-error") }),
+};
+
+// ── Script runner ──
+
+// Split a script line into argv the way a shell would (quotes and backslash escapes)
+function splitCommandLine(line) {
+  const args = [];
+  let cur = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === "\\" && quote === '"' && i + 1 < line.length) cur += line[++i];
+      else cur += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      cur = cur ?? "";
+    } else if (ch === "\\" && i + 1 < line.length) {
+      cur = (cur ?? "") + line[++i];
+    } else if (/\s/.test(ch)) {
+      if (cur !== null) args.push(cur);
+      cur = null;
+    } else {
+      cur = (cur ?? "") + ch;
+    }
+  }
+  if (quote) throw new CommandError("BAD_ARGUMENT", `Unterminated ${quote} quote`);
+  if (cur !== null) args.push(cur);
+  return args;
+}
+
+async function cmdRun(file, opts = {}) {
+  if (!file) throw usageError("Usage: run <file|-> [--stop-on-error]\nOne command per line, # starts a comment");
+  const source = file === "-" ? readFileSync(0, "utf8") : readFileSync(file, "utf8");
+  const lines = source.split(/\r?\n/);
+
+  // Forward to the daemon if it is up; otherwise share one pooled session per tab for the whole script
+  const useDaemon = !!(await daemonRequest({ control: "ping" }));
+  const context = current();
+  if (!useDaemon) context.pool = new SessionPool();
+  // run's own global options (--tab, --on-dialog, --json) apply to every line, which may override them.
+  // With --json every line prints one object, tagged with its line number
+  const outer = { ...context.options };
+  const json = outer.json;
+  let failed = 0;
+  try {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || line.startsWith("#")) continue;
+      const prefix = `${i + 1}: `;
+      let result;
+      let argv = [];
+      try {
+        argv = splitCommandLine(line);
+        if (useDaemon) {
+          const response = await daemonRequest({ argv, options: outer, cwd: process.cwd() });
+          if (!response.ok) throw new CommandError(response.code || "ERROR", response.error);
+          result = response.result;
+        } else {
+          result = await execute(argv, outer);
+        }
+      } catch (err) {
+        failed++;
+        if (json) {
+          const command = argv.length ? parseGlobalOptions(argv, outer)[0] ?? null : null;
+          console.log(JSON.stringify({ line: i + 1, ok: false, command, error: { code: errorCode(err), message: err.message } }));
+        } else {
+          console.log(prefix + formatError(err));
+        }
+        if (opts.stopOnError) break;
+        continue;
+      }
+      if (json) console.log(JSON.stringify({ line: i + 1, ...JSON.parse(result) }));
+      else if (result) console.log(prefix + String(result).split("\n").join("\n" + " ".repeat(prefix.length)));
+    }
+  } finally {
+    if (!useDaemon) {
+      await context.pool.closeAll();
+      context.pool = null;
+    }
+    Object.assign(context.options, outer);
+  }
+  if (failed) process.exitCode = 1;
+}
+
+// ── Launching Chrome ──
+// launch finds a Chrome/Chromium binary, starts it with remote debugging on and records it
+// in the endpoint's state; while it runs, it is the default endpoint (CDP_URL still wins).
+// kill stops it again, status reports on whatever endpoint commands currently go to.
+
+const CHROME_NAMES = ["google-chrome", "google-chrome-stable", "chromium", "chromium-browser", "chrome", "microsoft-edge"];
+const CHROME_PATHS = {
+  darwin: [
+    "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+    "/Applications/Chromium.app/Contents/MacOS/Chromium",
+    path.join(os.homedir(), "Applications/Google Chrome.app/Contents/MacOS/Google Chrome"),
+    "/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge"
+  ],
+  win32: [process.env.LOCALAPPDATA, process.env.PROGRAMFILES, process.env["PROGRAMFILES(X86)"]]
+    .filter(Boolean).map(dir => path.join(dir, "Google", "Chrome", "Application", "chrome.exe")),
+  linux: ["/snap/bin/chromium", "/usr/bin/google-chrome", "/usr/bin/chromium", "/usr/bin/chromium-browser"]
+};
+const LAUNCH_TIMEOUT = 20000;
+
+// $CHROME_PATH, then the usual install locations, then the PATH
+function findChrome() {
+  if (process.env.CHROME_PATH) {
+    if (!existsSync(process.env.CHROME_PATH)) throw new CommandError("NOT_FOUND", `CHROME_PATH does not exist: ${process.env.CHROME_PATH}`);
+    return process.env.CHROME_PATH;
+  }
+  const known = (CHROME_PATHS[process.platform] || []).find(p => existsSync(p));
+  if (known) return known;
+  const exe = process.platform === "win32" ? ".exe" : "";
+  for (const dir of (process.env.PATH || "").split(path.delimiter).filter(Boolean)) {
+    const found = CHROME_NAMES.map(name => path.join(dir, name + exe)).find(p => existsSync(p));
+    if (found) return found;
+  }
+  throw new CommandError("NOT_FOUND", "No Chrome or Chromium found. Install one, or point CHROME_PATH at its binary.");
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM"; // alive, just not ours to signal
+  }
+}
+
+// /json/version of an endpoint, or null if nothing (DevTools-like) answers there
+async function probeEndpoint(cdpUrl) {
+  try {
+    const res = await fetch(`${cdpUrl}/json/version`, { signal: AbortSignal.timeout(2000) });
+    return await res.json();
+  } catch (_) {
+    return null;
+  }
+}
+
+// Each browser process has its own /devtools/browser/<id>
+function browserId(version) {
+  try {
+    return new URL(version.webSocketDebuggerUrl).pathname;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Whether the endpoint (as probed) is still the browser launch started. A live pid alone
+// proves nothing: Chrome may have exited and the pid been reused by something else.
+function isLaunchedBrowser(launched, version) {
+  if (!launched || !version || !isAlive(launched.pid)) return false;
+  return !launched.browserId || browserId(version) === launched.browserId;
+}
+
+function forgetLaunched(cdpUrl) {
+  const state = loadState();
+  if (!state[cdpUrl]?.launched) return;
+  state[cdpUrl] = { ...state[cdpUrl], launched: undefined };
+  saveState(state);
+}
+
+// Endpoint of the most recently launched browser that still answers; stale entries are dropped
+async function launchedEndpoint() {
+  const launched = Object.entries(loadState())
+    .filter(([, s]) => s.launched)
+    .sort(([, a], [, b]) => b.launched.startedAt - a.launched.startedAt);
+  for (const [cdpUrl, s] of launched) {
+    const version = isAlive(s.launched.pid) ? await probeEndpoint(cdpUrl) : null;
+    if (isLaunchedBrowser(s.launched, version)) return cdpUrl;
+    forgetLaunched(cdpUrl);
+  }
+  return undefined;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function cmdLaunch(flags = {}) {
+  if (flags.port !== undefined && flags.port !== "auto" && !/^\d+$/.test(flags.port)) {
+    throw usageError("Usage: launch [--headless] [--profile dir] [--port N|auto]");
+  }
+  const port = flags.port === "auto" ? await freePort() : parseInt(flags.port || new URL(DEFAULT_CDP_URL).port);
+  const cdpUrl = `http://127.0.0.1:${port}`;
+
+  const running = await probeEndpoint(cdpUrl);
+  if (running) {
+    const ours = loadState()[cdpUrl]?.launched;
+    if (isLaunchedBrowser(ours, running)) return new Output(`Already running at ${cdpUrl} (pid ${ours.pid})`, { cdpUrl, pid: ours.pid, launched: false });
+    throw new CommandError("ACTION_FAILED", `${running.Browser || "Something"} is already listening at ${cdpUrl}. Use it with CDP_URL=${cdpUrl}, or: launch --port auto`);
+  }
+
+  const binary = findChrome();
+  const profile = path.resolve(flags.profile || path.join(STATE_DIR, "profile"));
+  mkdirSync(profile, { recursive: true });
+  const args = [
+    `--remote-debugging-port=${port}`, `--user-data-dir=${profile}`,
+    "--no-first-run", "--no-default-browser-check"
+  ];
+  if (flags.headless) args.push("--headless=new");
+  // Chrome refuses to start as root with its sandbox on (containers, CI)
+  if (process.getuid?.() === 0) args.push("--no-sandbox");
+  args.push("about:blank");
+
+  const logPath = path.join(STATE_DIR, "chrome.log");
+  const log = openSync(logPath, "a");
+  const child = spawn(binary, args, { detached: true, stdio: ["ignore", log, log] });
+  let exited = null;
+  child.on("exit", (code) => { exited = code; });
+  child.on("error", (err) => { exited = err.message; });
+  child.unref();
+
+  const deadline = Date.now() + LAUNCH_TIMEOUT;
+  let version = null;
+  while (!version && exited === null && Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, 200));
+    version = await probeEndpoint(cdpUrl);
+  }
+  if (!version) {
+    if (exited === null) try { process.kill(child.pid); } catch (_) {}
+    throw new CommandError(exited === null ? "TIMEOUT" : "ACTION_FAILED",
+      `${path.basename(binary)} ${exited === null ? `did not answer at ${cdpUrl} within ${LAUNCH_TIMEOUT / 1000}s` : `exited (${exited})`} — see ${logPath}`);
+  }
+
+  const launched = { pid: child.pid, browserId: browserId(version), binary, profile, headless: !!flags.headless, startedAt: Date.now() };
+  const state = loadState();
+  state[cdpUrl] = { ...state[cdpUrl], launched, activeTarget: undefined };
+  saveState(state);
+  const note = process.env.CDP_URL && process.env.CDP_URL !== cdpUrl ? `\n(CDP_URL=${process.env.CDP_URL} is set and still takes precedence)` : "";
+  return new Output(`Launched ${version.Browser || path.basename(binary)} at ${cdpUrl} (pid ${child.pid}${flags.headless ? ", headless" : ""}, profile ${profile})${note}`, {
+    cdpUrl, pid: child.pid, browser: version.Browser, binary, profile, headless: launched.headless, launched: true
+  });
+}
+
+async function cmdKill() {
+  const { cdpUrl } = current();
+  const launched = endpointState().launched;
+  // Only signal the pid while it still serves the endpoint it was launched for
+  if (!isLaunchedBrowser(launched, launched && await probeEndpoint(cdpUrl))) {
+    if (launched) forgetLaunched(cdpUrl);
+    const left = launched && isAlive(launched.pid) ? ` (pid ${launched.pid} no longer serves it and was left alone)` : "";
+    throw new CommandError("NOT_FOUND", `No browser launched by bjs at ${cdpUrl}${left}.`);
+  }
+  // The daemon's sessions die with the browser — stop it too
+  await daemonRequest({ control: "stop" }).catch(() => null);
+  process.kill(launched.pid, "SIGTERM");
+  for (let i = 0; i < 50 && isAlive(launched.pid); i++) await new Promise(r => setTimeout(r, 100));
+  if (isAlive(launched.pid)) process.kill(launched.pid, "SIGKILL");
+  updateEndpointState({ launched: undefined, activeTarget: undefined });
+  return new Output(`Stopped browser at ${cdpUrl} (pid ${launched.pid})`, { cdpUrl, pid: launched.pid });
+}
+
+async function cmdStatus() {
+  const { cdpUrl } = current();
+  const version = await probeEndpoint(cdpUrl);
+  const launched = endpointState().launched;
+  const mine = isLaunchedBrowser(launched, version) ? launched : null;
+  if (launched && !mine) forgetLaunched(cdpUrl);
+  const daemon = await daemonRequest({ control: "ping" }).catch(() => null);
+  const data = { cdpUrl, running: !!version, browser: version?.Browser ?? null, tabs: null, launched: mine, daemon: daemon ? daemon.pid : null };
+  if (!version) return new Output(`No browser at ${cdpUrl}; run: bjs launch`, data);
+
+  data.tabs = (await getPages()).length;
+  const lines = [`${version.Browser} at ${cdpUrl} — ${data.tabs} tab${data.tabs === 1 ? "" : "s"}`];
+  if (mine) lines.push(`Launched by bjs: pid ${mine.pid}, up ${formatDuration(Date.now() - mine.startedAt)}${mine.headless ? ", headless" : ""}, profile ${mine.profile}`);
+  lines.push(daemon ? `Daemon running (pid ${daemon.pid})` : "Daemon not running");
+  return new Output(lines.join("\n"), data);
+}
+
+// ── Daemon ──
+// Holds a SessionPool and serves COMMANDS over a Unix socket (one JSON line per request).
+// The CLI forwards to it when it is up and falls back to a direct connection when not.
+
+function daemonSocketPath() {
+  const id = crypto.createHash("sha1").update(current().cdpUrl).digest("hex").slice(0, 8);
+  return path.join(STATE_DIR, `daemon-${id}.sock`);
+}
+
+// Send one request to the daemon; resolves null when no daemon is listening.
+// Commands may legitimately run for minutes (download, wait-for --timeout), control requests not.
+const DAEMON_CONNECT_TIMEOUT = 2000;
+const DAEMON_CONTROL_TIMEOUT = 5000;
+const DAEMON_COMMAND_TIMEOUT = 10 * 60 * 1000;
+
+function daemonRequest(request) {
+  return new Promise((resolve, reject) => {
+    const sock = net.connect(daemonSocketPath());
+    let connected = false;
+    let buf = "";
+    // A socket nobody accepts on counts as no daemon; a daemon that stops answering is an error
+    let timer = setTimeout(() => {
+      sock.destroy();
+      resolve(null);
+    }, DAEMON_CONNECT_TIMEOUT);
+    const limit = request.control ? DAEMON_CONTROL_TIMEOUT : DAEMON_COMMAND_TIMEOUT;
+    sock.on("connect", () => {
+      connected = true;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        sock.destroy();
+        reject(new CommandError("TIMEOUT", `Daemon did not answer within ${limit / 1000}s. Restart it: daemon stop, then daemon start`));
+      }, limit);
+      sock.write(JSON.stringify(request) + "\n");
+    });
+    sock.on("data", (chunk) => { buf += chunk; });
+    sock.on("end", () => {
+      clearTimeout(timer);
+      try {
+        resolve(JSON.parse(buf));
+      } catch (_) {
+        reject(new Error("Invalid response from daemon"));
+      }
+    });
+    sock.on("error", (err) => {
+      clearTimeout(timer);
+      connected ? reject(err) : resolve(null);
+    });
+  });
+}
+
+function formatDuration(ms) {
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor(s / 60) % 60}m`;
+}
+
+async function serveDaemon() {
+  const socketPath = daemonSocketPath();
+  if (await daemonRequest({ control: "ping" })) throw new Error(`Daemon already running on ${socketPath}`);
+  mkdirSync(STATE_DIR, { recursive: true });
+  try { unlinkSync(socketPath); } catch (_) {} // stale socket from a crashed daemon
+
+  const pool = new SessionPool();
+  current().pool = pool;
+  const started = Date.now();
+  let queue = Promise.resolve();
+
+  const shutdown = async () => {
+    server.close();
+    await pool.closeAll();
+    try { unlinkSync(socketPath); } catch (_) {}
+    process.exit(0);
+  };
+
+  // ping and status answer at once, even while a long command holds the queue
+  const control = (request) => {
+    switch (request.control) {
+      case "ping":
+        return { ok: true, pid: process.pid };
+      case "status": {
+        const lines = [`Daemon running (pid ${process.pid}, up ${formatDuration(Date.now() - started)}) — ${current().cdpUrl}`];
+        for (const [targetId, events] of pool.events) lines.push(`  ${targetId}  ${events.length} buffered events`);
+        if (lines.length === 1) lines.push("  No tab sessions yet.");
+        const tabs = [...pool.events].map(([targetId, events]) => ({ targetId, events: events.length }));
+        return { ok: true, result: lines.join("\n"), data: { running: true, pid: process.pid, cdpUrl: current().cdpUrl, uptime: Date.now() - started, tabs } };
+      }
+    }
+    return null;
+  };
+
+  // Always resolves to a response, so one failing request can't stall the queue
+  const handle = async (request) => {
+    try {
+      if (request.control === "stop") {
+        setImmediate(shutdown);
+        return { ok: true };
+      }
+      // Relative paths (screenshot, upload) are relative to the caller's directory
+      process.chdir(request.cwd);
+      return { ok: true, result: await execute(request.argv, request.options) };
+    } catch (err) {
+      return { ok: false, error: err.message, code: errorCode(err) };
+    }
+  };
+
+  const server = net.createServer((sock) => {
+    let buf = "";
+    const onData = (chunk) => {
+      buf += chunk;
+      if (!buf.includes("\n")) return;
+      sock.off("data", onData); // one request per connection; later chunks are ignored
+      let request;
+      try {
+        request = JSON.parse(buf.slice(0, buf.indexOf("\n")));
+      } catch (_) {}
+      if (!request || typeof request !== "object" || (!request.control && !Array.isArray(request.argv))) {
+        return sock.end(JSON.stringify({ ok: false, error: "Invalid request", code: "BAD_ARGUMENT" }));
+      }
+      const immediate = control(request);
+      if (immediate) return sock.end(JSON.stringify(immediate));
+      // One command at a time — commands share global options and the active tab
+      queue = queue.then(() => handle(request)).then((response) => sock.end(JSON.stringify(response))).catch(() => {});
+    };
+    sock.on("data", onData);
+    sock.on("error", () => {});
+  });
+
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(socketPath, resolve);
+  });
+  console.log(`Daemon listening on ${socketPath} (pid ${process.pid})`);
+  return new Promise(() => {}); // serve until stopped
+}
+
+async function cmdDaemon(action) {
+  switch (action) {
+    case "start": {
+      const running = await daemonRequest({ control: "ping" });
+      if (running) return new Output(`Daemon already running (pid ${running.pid})`, { running: true, pid: running.pid, started: false });
+      mkdirSync(STATE_DIR, { recursive: true });
+      const logPath = path.join(STATE_DIR, "daemon.log");
+      const log = openSync(logPath, "a");
+      const child = spawn(process.execPath, [__filename, "daemon", "run"], {
+        detached: true,
+        stdio: ["ignore", log, log]
+      });
+      child.unref();
+      for (let i = 0; i < 50; i++) {
+        await new Promise(r => setTimeout(r, 100));
+        const up = await daemonRequest({ control: "ping" });
+        if (up) return new Output(`Daemon started (pid ${up.pid})`, { running: true, pid: up.pid, started: true });
+      }
+      throw new Error(`Daemon did not start — see ${logPath}`);
+    }
+    case "run":
+      return serveDaemon();
+    case "stop":
+      const stopped = !!(await daemonRequest({ control: "stop" }));
+      return new Output(stopped ? "Daemon stopped." : "Daemon not running.", { running: false, stopped });
+    case "status": {
+      const status = await daemonRequest({ control: "status" });
+      return status ? new Output(status.result, status.data) : new Output("Daemon not running.", { running: false });
+    }
+    default:
+      throw usageError("Usage: daemon <start|stop|status>");
+  }
+}
+
+// Pull global flags (valid on every command) out of argv, on top of base (a run script's
+// own global options, for its lines)
+function parseGlobalOptions(argv, base = DEFAULT_OPTIONS) {
+  const { options } = current();
+  Object.assign(options, DEFAULT_OPTIONS, base);
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--tab") options.tab = argv[++i];
+    else if (a.startsWith("--tab=")) options.tab = a.slice(6);
+    else if (a === "--on-dialog") options.onDialog = argv[++i];
+    else if (a.startsWith("--on-dialog=")) options.onDialog = a.slice(12);
+    else if (a === "--json") options.json = true;
+    else args.push(a);
+  }
+  return args;
+}
+
+// Run one command line (argv without "node browser.js") in this process; returns the rendered output
+async function execute(argv, base) {
+  const args = parseGlobalOptions(argv, base);
   const cmd = args[0]?.toLowerCase();
+  const handler = COMMANDS[cmd];
+  if (!handler) throw new CommandError("UNKNOWN_COMMAND", `Unknown command: ${cmd}`);
+  try {
+    saveDialogPolicy();
+    return render(cmd, await handler(args.slice(1)));
+  } finally {
+    flushRouteHits();
+  }
+}
 
-  if (!cmd || cmd === "help" || cmd === "--help") {
-    console.log(`browser.js — Lightweight CDP browser control
+// help text; also the "usage" field of help --json
+const USAGE = `browser.js — Lightweight CDP browser control
 
 Commands:
+  launch [--headless] [--profile dir] [--port N|auto]   Start Chrome/Chromium; later commands use it
+  status                  Endpoint in use, browser, tabs, launched pid, daemon
+  kill                    Stop the browser launch started (and its daemon)
   tabs                    List open tabs
   open <url>              Navigate to URL
-  tab <index>             Switch to tab by index
+  tab <index|id>          Switch active tab (later commands use it)
   newtab [url]            Open new tab
   close [index]           Close tab
-  elements [selector]     List interactive elements (indexed)
-  click <index>           Click element by index
-  type <index> <text>     Type into element
-  text [selector]         Extract page text
+  elements [selector]     List interactive elements (indexed; iframes as [fN:i])
+  click <index>           Click element by index (or fN:index inside an iframe)
+  type <index> <text> [--submit]   Type into element (--submit presses Enter)
+  dialog [accept [text] | dismiss]  Show or answer a pending alert/confirm/prompt/beforeunload
+  press <key|combo> [index]        Press Enter, Escape, Tab, ArrowDown, Ctrl+A, Cmd+Enter...
+  select <index> <option>          Choose a <select> option by text or value
+  check / uncheck <index>          Set a checkbox or radio
+  set <index> <value>              Set a range/date/time/color/number input
+  form [selector]                  List form fields with their labels
+  fill <spec.json|yaml> [--form N] Fill fields matched by label: {"Email": "...", "Accept terms": true}
+  text [selector|ref] [--markdown] [--page N | --offset C]
+                          Extract page text (ref: element index, fN, fN:index), 8000 chars per page
   html <selector>         Get element HTML
   eval <js>               Run JavaScript
-  screenshot [path]       Save screenshot
+  screenshot [path] [--full] [--element <index|selector>] [--annotate] [--format jpeg --quality N]
+                          Save screenshot (--annotate draws element indices on it)
+  pdf [path] [--paper a4|letter|...] [--landscape] [--margin 1cm] [--background]
+      [--header <html|file>] [--footer <html|file>] [--pages 1-3] [--scale 0.8]   Save page as PDF
   scroll <up|down|top|bottom> [px]
   url                     Current URL
   back / forward / refresh
-  upload <path> [selector] Upload file to input
+  upload <index> <files...>         Set files on a file input (paths or globs; also shadow DOM)
+  upload <files...> [--selector css]   Same, finding the input by selector (default input[type=file])
+  drop <index> <files...>  Drop files onto a drop zone (real drag events)
   wait <ms>
+  wait-for selector|gone <css> [--count N]   Wait for elements (pierces shadow DOM)
+  wait-for text <string> | url <pattern>     Wait for page text / URL (/re/, glob*, substring)
+  wait-for idle [ms]                         Wait until no requests in flight for ms (500)
+           [--timeout ms]                    Default 10000; exits non-zero on timeout
+  events [n]              Recent page events (daemon only)
+  console [--level error|warn|all] [--since <ms>]   Console messages and page exceptions
+  network [pattern] [--type xhr,fetch] [--limit N]   Requests seen by the daemon / run script
+  network body <i> | export <file.har> | clear
+  block <url-pattern|resource-type>   Fail matching requests (e.g. "*doubleclick*", Image)
+  mock <url-pattern> <file> [--status N] [--header k:v]   Answer matching requests from a file
+  routes                  List block/mock rules with hit counts
+  unroute [id|pattern]    Remove one rule, or all of them
+  tables                  List data tables and ARIA grids (rows, columns, headers)
+  table <n|selector> [--csv|--json] [--out file]   Extract one table (spans expanded)
+  emulate [preset|reset] [--viewport WxH] [--dpr N] [--[no-]mobile] [--[no-]touch] [--ua s] [--locale l]
+      [--timezone tz] [--geo lat,lng] [--color-scheme dark] [--[no-]offline] [--throttle 3g]
+                          Emulate a device/locale/network (presets: iphone-14, pixel-7, desktop-1080p, ...)
+  download <index> [--timeout ms]   Click and wait for the download to finish
+  downloads [dir [path]]  List recent downloads / show or set the download directory
+  cookies [domain]        List cookies (default: current site)
+  cookies set <name> <value> [--domain d] [--path p] [--expires s] [--secure] [--http-only] [--same-site v]
+  cookies delete <name> [--domain d] | clear [domain]
+  cookies export <file.json|.txt> [domain] | import <file>   JSON or Netscape cookies.txt
+  storage local|session [get [key] | set <key> <value> | delete <key> | clear]
+
+Daemon (keeps one CDP connection open; other commands forward to it):
+  daemon start|stop|status
+
+Scripts (one command per line, # comments, shared session):
+  run <file|-> [--stop-on-error]
 
 Coordinate commands (for iframes, captchas, overlays):
   click-xy <x> <y> [--double] [--right]   Click at page coordinates
@@ -892,23 +4496,60 @@ Coordinate commands (for iframes, captchas, overlays):
   drag-xy <x1> <y1> <x2> <y2>             Drag between coordinates
   iframe-rect <css-selector>               Get iframe bounding box
 
-Env: CDP_URL (default: http://127.0.0.1:18800)`);
+Global options:
+  --tab <index|id>        Run this command against a specific tab
+  --on-dialog accept|dismiss|report   Answer JS dialogs automatically from now on (default: report)
+  --json                  Print one JSON object: {"ok": true, "command": ..., fields} or
+                          {"ok": false, "error": {"code", "message"}}; errors exit 1 either way
+
+Env: CDP_URL (default: the launched browser, else http://127.0.0.1:18800), BJS_HOME (default: ~/.browser-js),
+     CHROME_PATH (browser binary for launch)`;
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const args = parseGlobalOptions(argv);
+  const cmd = args[0]?.toLowerCase();
+
+  if (!cmd || cmd === "help" || cmd === "--help") {
+    // --json gets the command names as a list, with the same text alongside
+    const commands = [...new Set(["help", ...Object.keys(COMMANDS), ...Object.keys(CLI_COMMANDS)])];
+    console.log(render("help", new Output(USAGE, { commands, usage: USAGE })));
     return;
   }
 
-  const handler = COMMANDS[cmd];
-  if (!handler) {
-    console.error(`Unknown command: ${cmd}\nRun "browser.js help" for usage.`);
+  if (!COMMANDS[cmd] && !CLI_COMMANDS[cmd]) {
+    const err = new CommandError("UNKNOWN_COMMAND", `Unknown command: ${cmd}\nRun "browser.js help" for usage.`);
+    if (current().options.json) console.log(renderError(cmd, err));
+    else console.error(formatError(err));
     process.exit(1);
   }
 
+  // The daemon socket is per endpoint, so this comes before forwarding
+  if (!process.env.CDP_URL) cliContext.cdpUrl = await launchedEndpoint() || DEFAULT_CDP_URL;
+
   try {
-    const result = await handler(args.slice(1));
+    let result;
+    const forwarded = COMMANDS[cmd] && await daemonRequest({ argv, cwd: process.cwd() });
+    if (forwarded) {
+      if (!forwarded.ok) throw new CommandError(forwarded.code || "ERROR", forwarded.error);
+      result = forwarded.result; // rendered by the daemon
+    } else if (cmd === "run") {
+      saveDialogPolicy();
+      result = await CLI_COMMANDS.run(args.slice(1)); // prints each line itself
+    } else {
+      saveDialogPolicy();
+      result = render(cmd, await (CLI_COMMANDS[cmd] || COMMANDS[cmd])(args.slice(1)));
+      flushRouteHits();
+    }
     if (result) console.log(result);
   } catch (err) {
-    console.error(`Error: ${err.message}`);
+    // --json callers read one object from stdout either way
+    if (current().options.json) console.log(renderError(cmd, err));
+    else console.error(formatError(err));
     process.exit(1);
   }
 }
 
-main();
+module.exports = { Browser, Page, CommandError };
+
+if (require.main === module) main();
@@ -0,0 +1,254 @@
+// Input commands: what reaches CDP (Input.*, Target.*) and what the page sees
+
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const { mkdtempSync, writeFileSync, readFileSync, existsSync } = require("fs");
+
+process.env.BJS_HOME = mkdtempSync(path.join(os.tmpdir(), "bjs-test-"));
+const { Browser } = require("../browser.js");
+const { startFakeChrome } = require("./fake-chrome.js");
+
+let chrome;
+let browser;
+
+test.before(async () => {
+  chrome = await startFakeChrome();
+  chrome.open("about:blank");
+  browser = await Browser.connect({ cdpUrl: chrome.url });
+});
+
+test.after(async () => {
+  await browser.close();
+  await chrome.close();
+});
+
+// Calls made from here on, optionally only those of one domain
+function record() {
+  const start = chrome.calls.length;
+  return (prefix = "") => chrome.calls.slice(start).filter(c => c.method.startsWith(prefix));
+}
+
+const indexOf = async (page, desc) => (await page.elements()).find(e => e.desc === desc);
+
+test("click presses and releases the mouse at the element's centre", async () => {
+  const page = await browser.newPage("http://bjs.test/elements");
+  const save = await indexOf(page, "Save");
+  const calls = record();
+  const result = await page.click(save.index);
+  const x = save.rect.x + save.rect.width / 2;
+  const y = save.rect.y + save.rect.height / 2;
+  assert.deepStrictEqual(calls("Input.").map(c => [c.params.type, c.params.x, c.params.y]), [
+    ["mousePressed", x, y],
+    ["mouseReleased", x, y]
+  ]);
+  assert.strictEqual(result.effect, "1 new element");
+});
+
+test("click on a link reports the navigation", async () => {
+  const page = await browser.newPage("http://bjs.test/elements");
+  const { effect } = await page.click(0);
+  assert.strictEqual(effect, "navigated to http://bjs.test/next");
+  assert.strictEqual(await page.url(), "http://bjs.test/next");
+  assert.deepStrictEqual(await page.back(), { url: "http://bjs.test/elements", moved: true });
+  assert.strictEqual(await page.url(), "http://bjs.test/elements");
+});
+
+test("click taps instead under touch emulation", async () => {
+  const page = await browser.newPage("http://bjs.test/elements");
+  const custom = await indexOf(page, "Custom");
+  await page.command(["emulate", "iphone-14"]);
+  try {
+    const calls = record();
+    await page.click(custom.index);
+    assert.deepStrictEqual(calls("Input.").map(c => `${c.method} ${c.params.type}`), [
+      "Input.dispatchTouchEvent touchStart",
+      "Input.dispatchTouchEvent touchEnd"
+    ]);
+    assert.strictEqual(await page.text("[role=button]"), "Pressed");
+  } finally {
+    await page.command(["emulate", "reset"]);
+  }
+});
+
+test("type inserts text and updates a React-style controlled input", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const email = await indexOf(page, "Email");
+  const nickname = await indexOf(page, "Nickname");
+  const calls = record();
+  await page.type(email.index, "ada@example.com");
+  assert.deepStrictEqual(calls("Input.insertText").map(c => c.params.text), ["ada@example.com"]);
+  assert.strictEqual(await page.eval("document.getElementById('email').value"), "ada@example.com");
+
+  // The page ignores inserted text; only the prototype value setter makes the change visible
+  const result = await page.type(nickname.index, "ada");
+  assert.strictEqual(result.contenteditable, false);
+  assert.strictEqual(await page.eval("window.reactState"), "ada");
+});
+
+test("type replaces a contenteditable's text", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const bio = (await page.elements()).find(e => e.label === "div");
+  const result = await page.type(bio.index, "New bio");
+  assert.strictEqual(result.contenteditable, true);
+  assert.strictEqual(await page.text("#bio"), "New bio");
+});
+
+test("type --submit presses Enter and follows the form", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const email = await indexOf(page, "Email");
+  const result = await page.type(email.index, "ada@example.com", { submit: true });
+  assert.strictEqual(result.effect, "navigated to http://bjs.test/done");
+});
+
+test("select, check and set drive native controls", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const elements = await page.elements();
+  const find = (label) => elements.find(e => e.label === label);
+
+  assert.deepStrictEqual(await page.select(find("select").index, "pro"), { index: find("select").index, text: "Pro plan", value: "pro" });
+  await assert.rejects(page.select(find("select").index, "Enterprise"), { code: "NOT_FOUND" });
+
+  const checkbox = find("input:checkbox");
+  assert.strictEqual((await page.check(checkbox.index)).changed, true);
+  assert.strictEqual((await page.check(checkbox.index)).changed, false);
+  assert.strictEqual(await page.eval("document.querySelector('[name=terms]').checked"), true);
+
+  assert.strictEqual((await page.set(find("input:range").index, "7")).value, "7");
+  await assert.rejects(page.set(checkbox.index, "1"), { code: "INVALID_TARGET" });
+});
+
+test("fill reads a YAML spec and an empty value clears the field", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const spec = path.join(process.env.BJS_HOME, "signup.yaml");
+  writeFileSync(spec, '# signup\nEmail: "ada#1@example.com"  # quoted\nPlan: Pro plan # trailing\n');
+  assert.deepStrictEqual((await page.fill(spec)).map(f => f.ok), [true, true]);
+  assert.strictEqual(await page.eval("document.getElementById('email').value"), "ada#1@example.com");
+  assert.strictEqual(await page.eval("document.getElementById('plan').value"), "pro");
+
+  await page.fill({ Email: "" });
+  assert.strictEqual(await page.eval("document.getElementById('email').value"), "");
+});
+
+test("upload hands files to the file input", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const file = path.join(process.env.BJS_HOME, "avatar.png");
+  writeFileSync(file, "png");
+  const avatar = (await page.elements()).find(e => e.label === "input:file");
+  const calls = record();
+  await page.upload(avatar.index, file);
+  assert.deepStrictEqual(calls("DOM.setFileInputFiles").map(c => c.params.files), [[file]]);
+  assert.strictEqual(await page.eval("document.getElementById('avatar').dataset.files"), "avatar.png");
+  await assert.rejects(page.upload(0, file), { code: "INVALID_TARGET" });
+});
+
+test("press sends key down and up", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const calls = record();
+  await page.press("Ctrl+A");
+  assert.deepStrictEqual(calls("Input.").map(c => `${c.params.type} ${c.params.key}`), [
+    "rawKeyDown Control", "rawKeyDown a", "keyUp a", "keyUp Control"
+  ]);
+  await assert.rejects(page.press("Hyper+A"), { code: "BAD_ARGUMENT" });
+});
+
+test("press takes a trailing or lone + as the key", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  const calls = record();
+  await page.press("+");
+  await page.press("Control++");
+  assert.deepStrictEqual(calls("Input.").map(c => `${c.params.type} ${c.params.key}`), [
+    "keyDown +", "keyUp +",
+    "rawKeyDown Control", "rawKeyDown +", "keyUp +", "keyUp Control"
+  ]);
+});
+
+test("the network log forgets requests it evicts or clears", async () => {
+  const page = await browser.newPage("http://bjs.test/form");
+  await page.command(["network"]);
+  const log = browser.context.pool.network.get(page.targetId);
+  const request = { method: "GET", url: "http://bjs.test/ping", headers: {} };
+  for (let i = 0; i < 600; i++) {
+    log.handle("Network.requestWillBeSent", { requestId: `r${i}`, request, timestamp: i, wallTime: i });
+  }
+  assert.strictEqual(log.entries.length, 500);
+  assert.strictEqual(log.byId.size, 500);
+  assert.strictEqual(log.byId.has("r99"), false);
+  await page.command(["network", "clear"]);
+  assert.strictEqual(log.byId.size, 0);
+});
+
+test("a dialog opened by a click blocks the page until answered", async () => {
+  const page = await browser.newPage("http://bjs.test/dialog");
+  const { effect } = await page.click(0);
+  assert.match(effect, /^dialog opened: alert\("Are you sure\?"\)/);
+  await assert.rejects(page.eval("1"), { code: "DIALOG_OPEN" });
+  assert.deepStrictEqual(await page.dialog("accept"), { accepted: true, dialog: { type: "alert", message: "Are you sure?" } });
+  assert.strictEqual(await page.eval("1 + 1"), 2);
+});
+
+test("a library onDialog answers dialogs for that Browser only and isn't saved", async () => {
+  await assert.rejects(Browser.connect({ cdpUrl: chrome.url, onDialog: "maybe" }), { code: "BAD_ARGUMENT" });
+  const auto = await Browser.connect({ cdpUrl: chrome.url, onDialog: "accept" });
+  try {
+    const page = await auto.newPage("http://bjs.test/dialog");
+    const { effect } = await page.click(0);
+    assert.match(effect, /^alert\("Are you sure\?"\) accepted/);
+  } finally {
+    await auto.close();
+  }
+  const stateFile = path.join(process.env.BJS_HOME, "state.json");
+  const state = existsSync(stateFile) ? JSON.parse(readFileSync(stateFile, "utf8")) : {};
+  assert.strictEqual(state[chrome.url]?.dialogPolicy, undefined);
+});
+
+test("console errors are reported with the action and kept per tab", async () => {
+  const page = await browser.newPage("http://bjs.test/dialog");
+  const { consoleErrors } = await page.click(1);
+  assert.strictEqual(consoleErrors, 1);
+  assert.deepStrictEqual((await page.console({ level: "error" })).map(m => m.text), ["boom"]);
+});
+
+test("newPage and close go through Target.*", async () => {
+  const calls = record();
+  const page = await browser.newPage("http://bjs.test/next");
+  assert.strictEqual(await page.text("p"), "You made it.");
+  await page.close();
+  assert.deepStrictEqual(calls("Target.").map(c => c.method), ["Target.createTarget", "Target.closeTarget"]);
+  assert.strictEqual(chrome.page(page.targetId), undefined);
+});
+
+test("eval returns values and surfaces page exceptions", async () => {
+  const page = await browser.newPage("http://bjs.test/next");
+  assert.deepStrictEqual(await page.eval("({ a: [1, 2] })"), { a: [1, 2] });
+  assert.strictEqual(await page.eval("Promise.resolve('later')"), "later");
+  await assert.rejects(page.eval("nope()"), { code: "JS_ERROR" });
+});
+
+test("wait-for rejects a selector the browser can't parse", async () => {
+  const page = await browser.newPage("http://bjs.test/elements");
+  await assert.rejects(page.waitFor("gone", "###"), { code: "BAD_ARGUMENT" });
+});
+
+test("storage set keeps a value with spaces", async () => {
+  const page = await browser.newPage("http://bjs.test/next");
+  await page.command(["storage", "local", "set", "greeting", "hello", "there", "world"]);
+  assert.strictEqual(await page.eval("localStorage.getItem('greeting')"), "hello there world");
+});
+
+test("text --markdown leaves out inline svg", async () => {
+  const page = await browser.newPage("http://bjs.test/next");
+  assert.strictEqual(await page.text(undefined, { markdown: true }), "You made it.\n\n[Back to elements](http://bjs.test/elements)");
+});
+
+test("download reports where the file landed, also when the name was taken", async () => {
+  const page = await browser.newPage("http://bjs.test/downloads");
+  const dir = path.join(process.env.BJS_HOME, "downloads");
+  await page.command(["downloads", "dir", dir]);
+  const first = await page.command(["download", "0"]);
+  const second = await page.command(["download", "0"]);
+  assert.strictEqual(first.path, path.join(dir, "report.csv"));
+  assert.strictEqual(second.path, path.join(dir, "report (1).csv"));
+  assert.strictEqual(readFileSync(second.path, "utf8"), "name,qty\napples,3");
+});
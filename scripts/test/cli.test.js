@@ -0,0 +1,155 @@
+// The bjs command line: output, --json, exit codes and scripts
+
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+const { mkdtempSync, writeFileSync, readFileSync } = require("fs");
+const { startFakeChrome } = require("./fake-chrome.js");
+
+const BJS = path.join(__dirname, "..", "browser.js");
+const home = mkdtempSync(path.join(os.tmpdir(), "bjs-test-"));
+
+let chrome;
+
+test.before(async () => {
+  chrome = await startFakeChrome();
+  chrome.open("http://bjs.test/elements");
+});
+
+test.after(() => chrome.close());
+
+// Run bjs; resolves to { code, stdout, stderr } whatever the exit status
+function bjs(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BJS, ...args], {
+      env: { ...process.env, CDP_URL: chrome.url, BJS_HOME: home, ...env }, timeout: 30000
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+}
+
+test("prints plain text and exits 0", async () => {
+  const { code, stdout } = await bjs(["tabs"]);
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /^\[0\]\* Elements — http:\/\/bjs\.test\/elements$/m);
+});
+
+test("--json wraps results with ok and the command", async () => {
+  const { code, stdout } = await bjs(["--json", "elements", "nav"]);
+  assert.strictEqual(code, 0);
+  const result = JSON.parse(stdout);
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.command, "elements");
+  assert.deepStrictEqual(result.elements.map(e => e.desc), ["Next page → http://bjs.test/next"]);
+});
+
+test("--json gives every command real fields, not wrapped prose", async () => {
+  const waited = JSON.parse((await bjs(["--json", "wait-for", "selector", "nav a"])).stdout);
+  assert.strictEqual(waited.matched, 2); // the duplicate link counts here, unlike in elements
+  assert.strictEqual(typeof waited.elapsed, "number");
+  const routes = JSON.parse((await bjs(["--json", "routes"])).stdout);
+  assert.deepStrictEqual(routes, { ok: true, command: "routes", routes: [] });
+  const scrolled = JSON.parse((await bjs(["--json", "scroll", "down"])).stdout);
+  assert.strictEqual(scrolled.direction, "down");
+  assert.strictEqual(scrolled.output, undefined);
+});
+
+test("help --json lists the commands", async () => {
+  const { code, stdout } = await bjs(["--json", "help"]);
+  assert.strictEqual(code, 0);
+  const help = JSON.parse(stdout);
+  assert.strictEqual(help.command, "help");
+  for (const name of ["help", "click", "run", "daemon"]) assert.ok(help.commands.includes(name), name);
+  assert.match(help.usage, /^browser\.js — /);
+  assert.strictEqual((await bjs(["help"])).stdout, help.usage + "\n");
+});
+
+test("errors exit 1 with a code", async () => {
+  let { code, stdout, stderr } = await bjs(["click"]);
+  assert.strictEqual(code, 1);
+  assert.match(stderr + stdout, /Usage: click <index>/);
+
+  ({ code, stdout } = await bjs(["--json", "click", "99"]));
+  assert.strictEqual(code, 1);
+  assert.deepStrictEqual(JSON.parse(stdout), {
+    ok: false, command: "click", error: { code: "NOT_FOUND", message: "Element not found at index 99. Try: elements" }
+  });
+
+  ({ code, stdout } = await bjs(["--json", "frobnicate"]));
+  assert.strictEqual(code, 1);
+  assert.strictEqual(JSON.parse(stdout).error.code, "UNKNOWN_COMMAND");
+});
+
+test("reports NO_BROWSER when nothing listens at CDP_URL", async () => {
+  const { code, stdout } = await bjs(["--json", "tabs"], { CDP_URL: "http://127.0.0.1:9" });
+  assert.strictEqual(code, 1);
+  const { error } = JSON.parse(stdout);
+  assert.strictEqual(error.code, "NO_BROWSER");
+  assert.match(error.message, /127\.0\.0\.1:9/);
+});
+
+test("run executes a script line by line and keeps going after errors", async () => {
+  const script = path.join(home, "script.bjs");
+  writeFileSync(script, "# smoke\nelements nav\nclick 99\neval 6 * 7\n");
+  const { code, stdout } = await bjs(["--json", "run", script]);
+  assert.strictEqual(code, 1);
+  const lines = stdout.trim().split("\n").map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(l => [l.line, l.ok, l.command]), [[2, true, "elements"], [3, false, "click"], [4, true, "eval"]]);
+  assert.strictEqual(lines[2].value, 42);
+});
+
+test("run applies its own global options to every line", async () => {
+  chrome.open("http://bjs.test/next");
+  const script = path.join(home, "tab.bjs");
+  writeFileSync(script, "url\nurl --tab 0\n");
+  const { code, stdout } = await bjs(["--tab", "1", "--on-dialog", "report", "run", script]);
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(stdout.trim().split("\n"), ["1: http://bjs.test/next", "2: http://bjs.test/elements"]);
+  const state = JSON.parse(readFileSync(path.join(home, "state.json"), "utf8"));
+  assert.strictEqual(state[chrome.url].dialogPolicy, "report");
+});
+
+test("emulate switches saved flags back off", async () => {
+  try {
+    await bjs(["emulate", "--offline", "--touch", "--locale", "de-DE"]);
+    const { code, stdout } = await bjs(["--json", "emulate", "--no-offline", "--touch=false"]);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout).emulation, { locale: "de-DE" });
+    const state = JSON.parse(readFileSync(path.join(home, "state.json"), "utf8"));
+    assert.deepStrictEqual(state[chrome.url].emulation, { locale: "de-DE" });
+    assert.match((await bjs(["emulate", "--offline=maybe"])).stderr, /Bad --offline=maybe/);
+  } finally {
+    await bjs(["emulate", "reset"]);
+  }
+});
+
+test("cookies set keeps every word of the value", async () => {
+  const { code } = await bjs(["cookies", "set", "greeting", "hello", "world", "--path", "/app"]);
+  assert.strictEqual(code, 0);
+  const [call] = chrome.calls.filter(c => c.method === "Storage.setCookies").slice(-1);
+  assert.deepStrictEqual(call.params.cookies.map(c => [c.name, c.value, c.path]), [["greeting", "hello world", "/app"]]);
+});
+
+test("the daemon keeps answering after a malformed request", async () => {
+  assert.strictEqual((await bjs(["daemon", "start"])).code, 0);
+  try {
+    const id = crypto.createHash("sha1").update(chrome.url).digest("hex").slice(0, 8);
+    const reply = await new Promise((resolve, reject) => {
+      let buf = "";
+      const sock = net.connect(path.join(home, `daemon-${id}.sock`), () => sock.write("null\n"));
+      sock.on("data", (chunk) => { buf += chunk; });
+      sock.on("end", () => resolve(JSON.parse(buf)));
+      sock.on("error", reject);
+    });
+    assert.deepStrictEqual(reply, { ok: false, error: "Invalid request", code: "BAD_ARGUMENT" });
+    assert.strictEqual(JSON.parse((await bjs(["--json", "daemon", "status"])).stdout).running, true);
+    const { code, stdout } = await bjs(["eval", "6 * 7"]);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(stdout.trim(), "42");
+  } finally {
+    await bjs(["daemon", "stop"]);
+  }
+});
@@ -0,0 +1,95 @@
+// Element indexing: de-duplication, visibility, modal priority, shadow DOM, iframes and tables
+
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const { mkdtempSync } = require("fs");
+
+process.env.BJS_HOME = mkdtempSync(path.join(os.tmpdir(), "bjs-test-"));
+const { Browser } = require("../browser.js");
+const { startFakeChrome } = require("./fake-chrome.js");
+
+let chrome;
+let browser;
+
+test.before(async () => {
+  chrome = await startFakeChrome();
+  chrome.open("about:blank");
+  browser = await Browser.connect({ cdpUrl: chrome.url });
+});
+
+test.after(async () => {
+  await browser.close();
+  await chrome.close();
+});
+
+const describe = (elements) => elements.map(e => `${e.index} (${e.label}) ${e.desc}`);
+
+test("lists each visible control once", async () => {
+  const page = await browser.newPage("http://bjs.test/elements");
+  const elements = await page.elements();
+  assert.deepStrictEqual(describe(elements), [
+    "0 (link) Next page → http://bjs.test/next",
+    "1 (button) Save",
+    "2 (button) Close menu",
+    "3 (input:text) Search",
+    "4 (button:disabled) Disabled",
+    "5 (button) Custom",
+    "6 (button) Shadow button"
+  ]);
+  assert.strictEqual(elements[0].href, "http://bjs.test/next");
+});
+
+test("scopes to a selector", async () => {
+  const page = await browser.newPage("http://bjs.test/elements");
+  assert.deepStrictEqual(describe(await page.elements("nav")), ["0 (link) Next page → http://bjs.test/next"]);
+  await assert.rejects(page.elements("#missing"), { code: "NOT_FOUND" });
+});
+
+test("puts the open dialog's controls first and keeps same-named page controls apart", async () => {
+  const page = await browser.newPage("http://bjs.test/modal");
+  assert.deepStrictEqual(describe(await page.elements()), [
+    "0 (input:text) Name",
+    "1 (button) Close",
+    "2 (button) Close",
+    "3 (button) Open settings"
+  ]);
+});
+
+test("clicks through an open shadow root", async () => {
+  const page = await browser.newPage("http://bjs.test/elements");
+  const shadow = (await page.elements()).find(e => e.desc === "Shadow button");
+  await page.click(shadow.index);
+  assert.strictEqual(await page.eval("document.querySelector('fancy-panel').dataset.clicked"), "yes");
+});
+
+test("indexes iframe controls as fN:i and acts on them", async () => {
+  const page = await browser.newPage("http://bjs.test/frames");
+  const elements = await page.elements();
+  assert.deepStrictEqual(describe(elements), [
+    "0 (button) Top button",
+    "f1:0 (button) Pay now",
+    "f1:1 (input:text) Card number"
+  ]);
+  // Frame rects come back in page coordinates; the fake puts the first iframe at x = 1000
+  const pay = elements.find(e => e.index === "f1:0");
+  assert.strictEqual(pay.rect.x, 1000);
+  const start = chrome.calls.length;
+  assert.strictEqual((await page.click("f1:0")).desc, "Pay now");
+  // The iframe is scrolled on screen before the mouse goes down at top-level coordinates
+  const methods = chrome.calls.slice(start).map(c => c.method);
+  assert.ok(methods.indexOf("DOM.scrollIntoViewIfNeeded") !== -1);
+  assert.ok(methods.indexOf("DOM.scrollIntoViewIfNeeded") < methods.indexOf("Input.dispatchMouseEvent"));
+  assert.strictEqual(await page.eval("document.querySelector('iframe').contentDocument.querySelector('button').textContent"), "Paid");
+});
+
+test("reads a <table role=grid> by its native rows and an ARIA grid by its roles", async () => {
+  const page = await browser.newPage("http://bjs.test/tables");
+  assert.deepStrictEqual(await page.command(["table", "1"]), { header: [["Fruit", "Qty"]], body: [["Apples", "3"], ["Pears", "5"]] });
+  assert.deepStrictEqual(await page.command(["table", "2"]), { header: [["Order", "Total"]], body: [["#1", "9.50"]] });
+  assert.deepStrictEqual((await page.command(["tables"])).tables.map(t => [t.index, t.name, t.grid, t.rows, t.cols]), [
+    [1, "Stock", true, 2, 2],
+    [2, "Orders", true, 1, 2]
+  ]);
+});
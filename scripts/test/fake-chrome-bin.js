@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// Stands in for a Chrome binary in launch tests (CHROME_PATH): serves the fake endpoint on
+// --remote-debugging-port, opens the start URL and runs until it is signalled.
+
+const { startFakeChrome } = require("./fake-chrome.js");
+
+const arg = (name) => process.argv.find(a => a.startsWith(`--${name}=`))?.split("=")[1];
+
+startFakeChrome({ port: Number(arg("remote-debugging-port")) }).then((chrome) => {
+  chrome.open(process.argv[process.argv.length - 1]);
+  console.log(`fake chrome at ${chrome.url} (${process.argv.slice(2).join(" ")})`);
+  process.on("SIGTERM", () => chrome.close().then(() => process.exit(0)));
+});
@@ -0,0 +1,488 @@
+/**
+ * fake-chrome.js — A stand-in for Chrome's remote debugging endpoint, for offline tests.
+ *
+ * Serves /json/list and /json/version over HTTP and the CDP methods browser.js sends over
+ * WebSocket. Pages are jsdom documents: http://bjs.test/<name> loads test/fixtures/<name>.html
+ * (anything else gets a stub page). <iframe srcdoc> frames are filled in the same way.
+ *
+ * jsdom has no layout, so the fake lays pages out as a column of 20px rows, one per element
+ * in document order (shadow roots included). Iframes sit in their own columns at x = 1000,
+ * 2000, ... Element centres are distinct, and Input.* events hit-test by row.
+ *
+ * Links with a download attribute download their data: URL into the directory set with
+ * Browser.setDownloadBehavior, naming files the way Chrome does for that behavior.
+ *
+ * Every call is recorded in `calls` ({ target, method, params }) for assertions.
+ */
+
+const http = require("http");
+const path = require("path");
+const { readFileSync, writeFileSync, existsSync } = require("fs");
+const { WebSocketServer } = require("ws");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const ROW = 20;
+const COLUMN = 1000;
+const PNG_1PX = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==";
+
+// ── Layout ──
+
+function fixtureHtml(url) {
+  const m = url.match(/^https?:\/\/bjs\.test\/([\w-]+)/);
+  const file = m && path.join(FIXTURES, `${m[1]}.html`);
+  if (file && existsSync(file)) return readFileSync(file, "utf8");
+  return `<title>${url}</title><body><p>page ${url}</p></body>`;
+}
+
+function isHidden(window, el) {
+  for (let n = el; n; n = n.parentElement || n.getRootNode().host) {
+    if (window.getComputedStyle(n).display === "none") return true;
+  }
+  return false;
+}
+
+// Give a jsdom window just enough layout for browser.js: visibility, rects and hit-testing
+function installLayout(window) {
+  const rows = new Map(); // element -> row
+  const byRow = [];
+  const frames = [];      // iframe elements, in column order
+  // Number elements in document order the first time anything asks for a rect
+  const walk = (root) => root.querySelectorAll("*").forEach((el) => {
+    if (el.tagName === "IFRAME") {
+      if (!frames.includes(el)) frames.push(el);
+    } else if (!rows.has(el)) {
+      rows.set(el, byRow.length);
+      byRow.push(el);
+    }
+    if (el.shadowRoot) walk(el.shadowRoot);
+  });
+  const rect = (x, y, width, height) => ({ x, y, width, height, top: y, left: x, right: x + width, bottom: y + height });
+
+  Object.defineProperty(window.HTMLElement.prototype, "offsetParent", {
+    get() { return isHidden(window, this) ? null : this.parentElement || this.ownerDocument.body; }
+  });
+  Object.defineProperty(window.HTMLElement.prototype, "isContentEditable", {
+    get() { return !!this.closest('[contenteditable=""], [contenteditable="true"]'); }
+  });
+  Object.defineProperty(window.HTMLElement.prototype, "innerText", {
+    get() { return this.textContent; },
+    set(value) { this.textContent = value; }
+  });
+  window.Element.prototype.getBoundingClientRect = function () {
+    if (isHidden(window, this)) return rect(0, 0, 0, 0);
+    walk(window.document);
+    if (this.tagName === "IFRAME") return rect(COLUMN * (frames.indexOf(this) + 1), 0, COLUMN - 200, 10000);
+    if (!rows.has(this)) walk(this.getRootNode());
+    return rect(0, rows.get(this) * ROW, 200, ROW);
+  };
+  window.Element.prototype.scrollIntoView = function () {};
+  window.scrollBy = window.scrollTo = () => {};
+
+  // The innermost element (and its window) at a viewport point
+  const elementAt = (x, y) => {
+    walk(window.document);
+    const frame = frames[Math.floor(x / COLUMN) - 1];
+    if (frame && frame.contentWindow && frame.contentWindow.__fakeLayout) {
+      return frame.contentWindow.__fakeLayout.elementAt(x - COLUMN * (frames.indexOf(frame) + 1), y);
+    }
+    return { el: byRow[Math.floor(y / ROW)] || window.document.body, window };
+  };
+  window.__fakeLayout = { elementAt };
+  return window.__fakeLayout;
+}
+
+// ── Server ──
+
+/**
+ * Start a fake Chrome (on a free port unless one is given). Resolves to
+ * { url, calls, pages, open(url), page(id), close() }.
+ */
+async function startFakeChrome({ port = 0 } = {}) {
+  const pages = new Map();    // targetId -> { id, url, window, history, current, dialog }
+  const calls = [];
+  const sockets = new Set();
+  const objects = new Map();  // objectId -> node (evaluate results without returnByValue)
+  const nodes = new Map();    // DOM nodeId -> node
+  const contexts = new Map(); // executionContextId -> window (isolated worlds of iframes)
+  const frames = new Map();   // frameId -> iframe element
+  let nextPage = 1;
+  let nextId = 1;
+  let downloads = null;       // Browser.setDownloadBehavior params
+
+  const server = http.createServer((req, res) => {
+    const { port } = server.address();
+    res.setHeader("Content-Type", "application/json");
+    if (req.url === "/json/list" || req.url === "/json") {
+      return res.end(JSON.stringify([...pages.values()].map(p => ({
+        id: p.id, type: "page", title: p.window.document.title, url: p.url,
+        webSocketDebuggerUrl: `ws://127.0.0.1:${port}/devtools/page/${p.id}`
+      }))));
+    }
+    if (req.url === "/json/version") {
+      return res.end(JSON.stringify({
+        Browser: "FakeChrome/1.0", "Protocol-Version": "1.3", "User-Agent": "Mozilla/5.0 FakeChrome/1.0",
+        webSocketDebuggerUrl: `ws://localhost:${port}/devtools/browser/fake`
+      }));
+    }
+    res.statusCode = 404;
+    res.end("{}");
+  });
+
+  // Send an event to every connection attached to a page (or "browser")
+  const emit = (targetId, method, params) => {
+    for (const ws of sockets) {
+      if (ws.targetId === targetId) ws.send(JSON.stringify({ method, params }));
+    }
+  };
+
+  const fillFrames = (window) => {
+    for (const frame of window.document.querySelectorAll("iframe[srcdoc]")) {
+      const doc = frame.contentDocument;
+      doc.open();
+      doc.write(frame.getAttribute("srcdoc"));
+      doc.close();
+      installLayout(frame.contentWindow);
+      fillFrames(frame.contentWindow);
+    }
+  };
+
+  const openDialog = (page, type, message, defaultPrompt = "") => {
+    page.dialog = { url: page.url, type, message: String(message), hasBrowserHandler: false, defaultPrompt };
+    emit(page.id, "Page.javascriptDialogOpening", page.dialog);
+  };
+
+  const load = (page, url) => {
+    if (page.window) page.window.close();
+    const virtualConsole = new VirtualConsole();
+    for (const type of ["log", "info", "warn", "error", "debug"]) {
+      virtualConsole.on(type, (...args) => emit(page.id, "Runtime.consoleAPICalled", {
+        type: type === "warn" ? "warning" : type,
+        args: args.map(value => value !== null && typeof value === "object" ? { type: "object", description: String(value) } : { type: typeof value, value }),
+        timestamp: Date.now()
+      }));
+    }
+    virtualConsole.on("jsdomError", (err) => {
+      if (/^Not implemented/.test(err.message)) return;
+      emit(page.id, "Runtime.exceptionThrown", {
+        timestamp: Date.now(),
+        exceptionDetails: { text: "Uncaught", url, lineNumber: 0, columnNumber: 0, exception: { type: "object", description: String(err.detail || err.message) } }
+      });
+    });
+    const dom = new JSDOM(fixtureHtml(url), {
+      url, runScripts: "dangerously", pretendToBeVisual: true, virtualConsole,
+      beforeParse(window) {
+        // Dialogs can't block jsdom, so they report and return what "accept" would
+        window.alert = (message) => openDialog(page, "alert", message);
+        window.confirm = (message) => { openDialog(page, "confirm", message); return true; };
+        window.prompt = (message, value = "") => { openDialog(page, "prompt", message, value); return value; };
+        installLayout(window);
+      }
+    });
+    const { window } = dom;
+    page.url = url;
+    page.window = window;
+    page.dialog = null;
+    fillFrames(window);
+    // Links and form submissions navigate, as they would in a browser
+    window.document.addEventListener("click", (e) => {
+      const link = e.target.closest && e.target.closest("a[href]");
+      if (!link || /^(javascript:|#)/.test(link.getAttribute("href"))) return;
+      if (link.hasAttribute("download")) return setTimeout(() => download(link.getAttribute("download"), link.href));
+      setTimeout(() => !e.defaultPrevented && navigate(page, link.href));
+    });
+    window.document.addEventListener("submit", (e) => {
+      setTimeout(() => !e.defaultPrevented && navigate(page, e.target.action || url));
+    });
+  };
+
+  // "allow" saves as the suggested name, "report (1).csv" on a clash; "allowAndName" as the guid
+  const download = (name, url) => {
+    const guid = `download-${nextId++}`;
+    emit("browser", "Browser.downloadWillBegin", { frameId: "", guid, url, suggestedFilename: name });
+    if (!downloads || !downloads.behavior.startsWith("allow")) return;
+    const data = decodeURIComponent(url.slice(url.indexOf(",") + 1));
+    let file = path.join(downloads.downloadPath, downloads.behavior === "allowAndName" ? guid : name);
+    const { name: base, ext } = path.parse(name);
+    for (let n = 1; downloads.behavior === "allow" && existsSync(file); n++) file = path.join(downloads.downloadPath, `${base} (${n})${ext}`);
+    writeFileSync(file, data);
+    const bytes = Buffer.byteLength(data);
+    setTimeout(() => emit("browser", "Browser.downloadProgress", { guid, totalBytes: bytes, receivedBytes: bytes, state: "completed", filePath: file }), 5);
+  };
+
+  const loaded = (page) => setTimeout(() => emit(page.id, "Page.loadEventFired", { timestamp: Date.now() / 1000 }), 5);
+
+  const navigate = (page, url) => {
+    const requestId = `req-${nextId++}`;
+    emit(page.id, "Page.frameStartedLoading", { frameId: page.id });
+    emit(page.id, "Network.requestWillBeSent", {
+      requestId, type: "Document", timestamp: Date.now() / 1000, wallTime: Date.now() / 1000,
+      request: { method: "GET", url, headers: {} }
+    });
+    load(page, url);
+    page.history = page.history.slice(0, page.current + 1).concat({ id: nextId++, url, title: page.window.document.title });
+    page.current = page.history.length - 1;
+    emit(page.id, "Network.responseReceived", {
+      requestId, type: "Document", timestamp: Date.now() / 1000,
+      response: { url, status: 200, statusText: "OK", mimeType: "text/html", headers: { "content-type": "text/html" } }
+    });
+    emit(page.id, "Network.loadingFinished", { requestId, timestamp: Date.now() / 1000, encodedDataLength: page.window.document.documentElement.outerHTML.length });
+    emit(page.id, "Page.frameNavigated", { frame: { id: page.id, url } });
+    loaded(page);
+  };
+
+  const open = (url = "about:blank") => {
+    const page = { id: `PAGE${String(nextPage++).padStart(4, "0")}`, history: [], current: -1 };
+    load(page, url);
+    page.history.push({ id: nextId++, url, title: page.window.document.title });
+    page.current = 0;
+    pages.set(page.id, page);
+    return page;
+  };
+
+  // A Runtime.evaluate result in CDP's shape
+  const remoteObject = (value, byValue) => {
+    if (value === undefined) return { type: "undefined" };
+    if (value === null) return { type: "object", subtype: "null", value: null };
+    if (typeof value === "object" && value.nodeType && !byValue) {
+      const objectId = `obj-${nextId++}`;
+      objects.set(objectId, value);
+      return { type: "object", subtype: "node", objectId, description: value.nodeName.toLowerCase() };
+    }
+    if (typeof value === "object" || typeof value === "function") {
+      return byValue ? { type: "object", value: JSON.parse(JSON.stringify(value) ?? "null") } : { type: typeof value, description: String(value) };
+    }
+    return { type: typeof value, value };
+  };
+
+  const evaluate = async (window, params) => {
+    try {
+      let value = window.eval(params.expression);
+      if (params.awaitPromise && value && typeof value.then === "function") value = await value;
+      return { result: remoteObject(value, params.returnByValue) };
+    } catch (err) {
+      return {
+        result: { type: "object", subtype: "error", description: String(err) },
+        exceptionDetails: { text: "Uncaught", exception: { description: String(err && err.stack || err) } }
+      };
+    }
+  };
+
+  // Text entry the way the browser does it: cancellable beforeinput, then the native value setter
+  const insertText = (window, el, text) => {
+    const before = new window.InputEvent("beforeinput", { inputType: "insertText", data: text, bubbles: true, cancelable: true });
+    if (!el.dispatchEvent(before)) return;
+    if (el.isContentEditable) {
+      el.textContent += text;
+    } else {
+      const proto = el.tagName === "TEXTAREA" ? window.HTMLTextAreaElement.prototype : window.HTMLInputElement.prototype;
+      const { get, set } = Object.getOwnPropertyDescriptor(proto, "value");
+      set.call(el, get.call(el) + text);
+    }
+    el.dispatchEvent(new window.InputEvent("input", { inputType: "insertText", data: text, bubbles: true }));
+  };
+
+  const activeElement = (window) => {
+    let el = window.document.activeElement;
+    while (el && el.tagName === "IFRAME" && el.contentDocument) el = el.contentDocument.activeElement;
+    return el || window.document.body;
+  };
+
+  const dispatchKey = (page, params) => {
+    const el = activeElement(page.window);
+    const window = el.ownerDocument.defaultView;
+    const init = { key: params.key, code: params.code, bubbles: true, cancelable: true };
+    if (params.type === "keyUp") return el.dispatchEvent(new window.KeyboardEvent("keyup", init));
+    if (!el.dispatchEvent(new window.KeyboardEvent("keydown", init))) return;
+    if (params.key === "Enter" && el.form && el.tagName === "INPUT") el.form.requestSubmit();
+    else if (params.key === "Backspace" && el.isContentEditable) el.textContent = "";
+    else if (params.text && params.text !== "\r" && (el.isContentEditable || "value" in el)) insertText(window, el, params.text);
+  };
+
+  // DOM.getDocument with pierce: shadow roots and same-process frame documents included
+  const describeNode = (node) => {
+    const nodeId = nextId++;
+    nodes.set(nodeId, node);
+    const children = [...(node.children || [])].map(describeNode);
+    const described = {
+      nodeId, nodeName: node.nodeType === 9 ? "#document" : node.nodeType === 11 ? "#document-fragment" : node.nodeName, children
+    };
+    if (node.shadowRoot) described.shadowRoots = [describeNode(node.shadowRoot)];
+    if (node.tagName === "IFRAME" && node.contentDocument) described.contentDocument = describeNode(node.contentDocument);
+    return described;
+  };
+
+  const frameTree = (window, id) => ({
+    frame: { id, url: window.location.href },
+    childFrames: [...window.document.querySelectorAll("iframe")].map((el) => {
+      if (!el.__fakeFrameId) el.__fakeFrameId = `FRAME${nextId++}`;
+      frames.set(el.__fakeFrameId, el);
+      return frameTree(el.contentWindow, el.__fakeFrameId);
+    })
+  });
+
+  const clickAt = (page, x, y, focus) => {
+    const { el } = page.window.__fakeLayout.elementAt(x, y);
+    if (focus && el.focus) el.focus();
+    if (!focus) el.click();
+  };
+
+  const handlers = {
+    "Runtime.evaluate": (page, params) => evaluate(params.contextId ? contexts.get(params.contextId) : page.window, params),
+    "Page.enable": (page, _, ws) => {
+      // Like Chrome, enabling Page re-announces a dialog that is already open
+      if (page && page.dialog) setTimeout(() => ws.send(JSON.stringify({ method: "Page.javascriptDialogOpening", params: page.dialog })));
+      return {};
+    },
+    "Page.navigate": (page, { url }) => {
+      setTimeout(() => navigate(page, url));
+      return { frameId: page.id, loaderId: `loader-${nextId++}` };
+    },
+    "Page.reload": (page) => {
+      load(page, page.url);
+      loaded(page);
+      return {};
+    },
+    "Page.getFrameTree": (page) => ({ frameTree: frameTree(page.window, page.id) }),
+    "Page.getNavigationHistory": (page) => ({ currentIndex: page.current, entries: page.history }),
+    "Page.navigateToHistoryEntry": (page, { entryId }) => {
+      const index = page.history.findIndex(e => e.id === entryId);
+      if (index < 0) throw new Error("No entry with passed id");
+      page.current = index;
+      load(page, page.history[index].url);
+      loaded(page);
+      return {};
+    },
+    "Page.handleJavaScriptDialog": (page, { accept, promptText }) => {
+      if (!page.dialog) throw new Error("No dialog is showing");
+      page.dialog = null;
+      emit(page.id, "Page.javascriptDialogClosed", { result: accept, userInput: promptText || "" });
+      return {};
+    },
+    "Page.createIsolatedWorld": (_, { frameId }) => {
+      const frame = frames.get(frameId);
+      if (!frame) throw new Error("No frame for given id found");
+      const executionContextId = nextId++;
+      contexts.set(executionContextId, frame.contentWindow);
+      return { executionContextId };
+    },
+    "Page.captureScreenshot": () => ({ data: PNG_1PX }),
+    "Page.printToPDF": () => ({ data: Buffer.from("%PDF-1.4\n%fake\n").toString("base64") }),
+    "Page.getLayoutMetrics": (page) => {
+      const height = page.window.document.querySelectorAll("*").length * ROW;
+      return {
+        cssContentSize: { x: 0, y: 0, width: 1280, height },
+        cssLayoutViewport: { pageX: 0, pageY: 0, clientWidth: 1280, clientHeight: 720 },
+        cssVisualViewport: { pageX: 0, pageY: 0, clientWidth: 1280, clientHeight: 720, scale: 1 }
+      };
+    },
+    "DOM.getDocument": (page) => ({ root: describeNode(page.window.document) }),
+    "DOM.querySelector": (_, { nodeId, selector }) => {
+      const found = nodes.get(nodeId).querySelector(selector);
+      if (!found) return { nodeId: 0 };
+      const id = nextId++;
+      nodes.set(id, found);
+      return { nodeId: id };
+    },
+    "DOM.getFrameOwner": (_, { frameId }) => {
+      const id = nextId++;
+      nodes.set(id, frames.get(frameId));
+      return { backendNodeId: id, nodeId: id };
+    },
+    "DOM.getBoxModel": (_, { backendNodeId, nodeId }) => {
+      const r = nodes.get(backendNodeId || nodeId).getBoundingClientRect();
+      const quad = [r.left, r.top, r.right, r.top, r.right, r.bottom, r.left, r.bottom];
+      return { model: { content: quad, padding: quad, border: quad, margin: quad, width: r.width, height: r.height } };
+    },
+    "DOM.setFileInputFiles": (page, { files, objectId, nodeId }) => {
+      const input = objectId ? objects.get(objectId) : nodes.get(nodeId);
+      if (!input) throw new Error("Could not find node with given id");
+      input.setAttribute("data-files", files.map(f => path.basename(f)).join(","));
+      const { Event } = input.ownerDocument.defaultView;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+      return {};
+    },
+    "Input.dispatchMouseEvent": (page, { type, x, y }) => {
+      if (type === "mousePressed") clickAt(page, x, y, true);
+      if (type === "mouseReleased") clickAt(page, x, y, false);
+      return {};
+    },
+    "Input.dispatchTouchEvent": (page, { type, touchPoints }) => {
+      if (type === "touchStart") page.touch = touchPoints[0];
+      if (type === "touchEnd" && page.touch) {
+        clickAt(page, page.touch.x, page.touch.y, true);
+        clickAt(page, page.touch.x, page.touch.y, false);
+        page.touch = null;
+      }
+      return {};
+    },
+    "Input.dispatchDragEvent": (page, { type, x, y, data }) => {
+      const { el, window } = page.window.__fakeLayout.elementAt(x, y);
+      const event = new window.Event({ dragEnter: "dragenter", dragOver: "dragover", drop: "drop" }[type], { bubbles: true, cancelable: true });
+      event.dataTransfer = { types: ["Files"], files: data.files.map(f => ({ name: path.basename(f) })) };
+      el.dispatchEvent(event);
+      return {};
+    },
+    "Input.insertText": (page, { text }) => {
+      const el = activeElement(page.window);
+      if (el.isContentEditable || "value" in el) insertText(el.ownerDocument.defaultView, el, text);
+      return {};
+    },
+    "Input.dispatchKeyEvent": (page, params) => {
+      dispatchKey(page, params);
+      return {};
+    },
+    "Target.createTarget": (_, { url }) => ({ targetId: open(url).id }),
+    "Target.closeTarget": (_, { targetId }) => {
+      const page = pages.get(targetId);
+      if (!page) throw new Error("No target with given id found");
+      page.window.close();
+      pages.delete(targetId);
+      for (const ws of sockets) if (ws.targetId === targetId) ws.close();
+      return { success: true };
+    },
+    "Browser.setDownloadBehavior": (_, params) => {
+      downloads = params;
+      return {};
+    },
+    "Browser.getVersion": () => ({ protocolVersion: "1.3", product: "FakeChrome/1.0", userAgent: "Mozilla/5.0 FakeChrome/1.0" })
+  };
+
+  const wss = new WebSocketServer({ server });
+  wss.on("connection", (ws, req) => {
+    const m = req.url.match(/^\/devtools\/(page|browser)\/(.+)$/);
+    if (!m || (m[1] === "page" && !pages.has(m[2]))) return ws.close();
+    ws.targetId = m[1] === "page" ? m[2] : "browser";
+    sockets.add(ws);
+    ws.on("close", () => sockets.delete(ws));
+    ws.on("message", async (data) => {
+      const { id, method, params = {}, sessionId } = JSON.parse(data);
+      calls.push({ target: ws.targetId, method, params });
+      const handler = handlers[method];
+      try {
+        const result = handler ? await handler(pages.get(ws.targetId), params, ws) : {};
+        ws.send(JSON.stringify({ id, result, sessionId }));
+      } catch (err) {
+        ws.send(JSON.stringify({ id, error: { code: -32000, message: err.message }, sessionId }));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    pages,
+    open,
+    page: (id) => pages.get(id),
+    close: () => new Promise((resolve) => {
+      for (const ws of sockets) ws.terminate();
+      for (const page of pages.values()) page.window.close();
+      wss.close();
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = { startFakeChrome, ROW };
@@ -0,0 +1,107 @@
+// launch / status / kill, with a stand-in Chrome binary
+
+const test = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const { execFile, spawn } = require("child_process");
+const { mkdtempSync, readFileSync, writeFileSync } = require("fs");
+
+const BJS = path.join(__dirname, "..", "browser.js");
+const home = mkdtempSync(path.join(os.tmpdir(), "bjs-test-"));
+const env = { ...process.env, BJS_HOME: home, CHROME_PATH: path.join(__dirname, "fake-chrome-bin.js") };
+delete env.CDP_URL;
+
+// Run bjs --json; resolves to { code, result }
+function bjs(args, extraEnv = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BJS, "--json", ...args], { env: { ...env, ...extraEnv }, timeout: 30000 }, (err, stdout) => {
+      resolve({ code: err ? err.code : 0, result: JSON.parse(stdout) });
+    });
+  });
+}
+
+let launched;
+
+test.after(() => {
+  // Don't leave the stand-in running if a test failed before kill
+  try { process.kill(launched.pid); } catch (_) {}
+});
+
+test("launch starts the browser and later commands find it without CDP_URL", async () => {
+  const { code, result } = await bjs(["launch", "--headless", "--port", "auto", "--profile", path.join(home, "p")]);
+  assert.strictEqual(code, 0, JSON.stringify(result));
+  launched = result;
+  assert.strictEqual(result.browser, "FakeChrome/1.0");
+  assert.strictEqual(result.headless, true);
+
+  // The binary got the port, profile and headless flags
+  const log = readFileSync(path.join(home, "chrome.log"), "utf8");
+  assert.match(log, new RegExp(`--remote-debugging-port=${new URL(result.cdpUrl).port} --user-data-dir=${path.join(home, "p")} `));
+  assert.match(log, /--headless=new/);
+
+  const tabs = await bjs(["tabs"]);
+  assert.deepStrictEqual(tabs.result.tabs.map(t => t.url), ["about:blank"]);
+
+  const again = await bjs(["launch", "--port", new URL(result.cdpUrl).port]);
+  assert.strictEqual(again.result.launched, false);
+});
+
+test("status describes the endpoint commands go to", async () => {
+  const { code, result } = await bjs(["status"]);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(result.cdpUrl, launched.cdpUrl);
+  assert.strictEqual(result.running, true);
+  assert.strictEqual(result.tabs, 1);
+  assert.strictEqual(result.launched.pid, launched.pid);
+});
+
+test("kill stops it and forgets it", async () => {
+  const { code, result } = await bjs(["kill"]);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(result.pid, launched.pid);
+  assert.throws(() => process.kill(launched.pid, 0), { code: "ESRCH" });
+
+  const status = await bjs(["status"], { CDP_URL: launched.cdpUrl });
+  assert.strictEqual(status.result.running, false);
+  const tabs = await bjs(["tabs"], { CDP_URL: launched.cdpUrl });
+  assert.strictEqual(tabs.result.error.code, "NO_BROWSER");
+  assert.match(tabs.result.error.message, /^No browser at .*; run: bjs launch$/);
+
+  const again = await bjs(["kill"], { CDP_URL: launched.cdpUrl });
+  assert.strictEqual(again.result.error.code, "NOT_FOUND");
+});
+
+test("a launched pid that no longer serves its endpoint is left alone and forgotten", async () => {
+  // Stands in for an unrelated process that got the dead browser's pid
+  const bystander = spawn(process.execPath, ["-e", "setInterval(() => {}, 1000)"]);
+  const cdpUrl = "http://127.0.0.1:9";
+  const stateFile = path.join(home, "state.json");
+  const remember = () => {
+    const state = JSON.parse(readFileSync(stateFile, "utf8"));
+    state[cdpUrl] = { launched: { pid: bystander.pid, startedAt: Date.now() } };
+    writeFileSync(stateFile, JSON.stringify(state));
+  };
+  const remembered = () => JSON.parse(readFileSync(stateFile, "utf8"))[cdpUrl].launched;
+  try {
+    remember();
+    const { result } = await bjs(["kill"], { CDP_URL: cdpUrl });
+    assert.strictEqual(result.error.code, "NOT_FOUND");
+    assert.doesNotThrow(() => process.kill(bystander.pid, 0));
+    assert.strictEqual(remembered(), undefined);
+
+    // Nor do commands without CDP_URL get routed there
+    remember();
+    const status = await bjs(["status"]);
+    assert.notStrictEqual(status.result.cdpUrl, cdpUrl);
+    assert.strictEqual(remembered(), undefined);
+  } finally {
+    bystander.kill();
+  }
+});
+
+test("launch reports a missing binary", async () => {
+  const { code, result } = await bjs(["launch", "--port", "auto"], { CHROME_PATH: path.join(home, "no-such-chrome") });
+  assert.strictEqual(code, 1);
+  assert.strictEqual(result.error.code, "NOT_FOUND");
+});